@@ -14,6 +14,9 @@ import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
  * Uses AccessControlUpgradeable:
  * - ADMIN_ROLE: Can grant/revoke CUSTODIAN_ROLE to FIs.
  * - CUSTODIAN_ROLE: Granted to FIs, allows them to register/update wallets they custody.
+ * Admins can give a custodian policy overrides (HalfLife bounds, fee discount, credit share)
+ * that T3Token applies to transfers involving that custodian's KYC-valid wallets. Policy changes
+ * take effect after `policyChangeDelay`, mirroring the token's parameter timelock.
  * Designed for UUPS proxy.
  */
 contract CustodianRegistry is Initializable, AccessControlUpgradeable, UUPSUpgradeable {
@@ -30,6 +33,29 @@ contract CustodianRegistry is Initializable, AccessControlUpgradeable, UUPSUpgra
         uint256 kycExpiresTimestamp;   // Timestamp when KYC validation expires (0 if never expires)
     }
 
+    // Overrides a custodian offers its customers. Zero fields fall back to the token's defaults.
+    struct CustodianPolicy {
+        uint256 minHalfLifeDuration;
+        uint256 maxHalfLifeDuration;
+        uint256 feeDiscountBps;  // Discount on the risk-adjusted transfer fee
+        uint256 creditShareBps;  // Share of the fee credited to the custodied party (token default 2500)
+    }
+
+    // A policy change waiting for its effective time
+    struct ScheduledPolicy {
+        CustodianPolicy policy;
+        uint256 effectiveAt;
+    }
+
+    // Policy applying to one transfer, merged from the sender's and recipient's custodians.
+    struct TransferPolicy {
+        uint256 minHalfLifeDuration;
+        uint256 maxHalfLifeDuration;
+        uint256 feeDiscountBps;
+        uint256 senderCreditShareBps;
+        uint256 recipientCreditShareBps;
+    }
+
     // --- State Variables ---
     // Mapping from user address to their custody data
     mapping(address => CustodyData) private _custodyInfo;
@@ -37,10 +63,26 @@ contract CustodianRegistry is Initializable, AccessControlUpgradeable, UUPSUpgra
     // Optional: Keep track of all registered custodians for transparency
     EnumerableSet.AddressSet private _custodians;
 
+    // Mapping from custodian address to its policy overrides
+    mapping(address => CustodianPolicy) private _custodianPolicies;
+
+    // Latest policy change per custodian; replaces `_custodianPolicies` once effective
+    mapping(address => ScheduledPolicy) private _scheduledPolicies;
+
+    // Seconds before a policy change takes effect; changes to the delay itself wait out the current one
+    uint256 private _policyChangeDelay;
+    uint256 private _scheduledPolicyChangeDelay;
+    uint256 private _scheduledPolicyChangeDelayAt;
+
+    uint256 public constant MAX_POLICY_CHANGE_DELAY = 30 days;
+
     // --- Events ---
     event WalletRegistered(address indexed userAddress, address indexed custodian, uint256 kycValidatedTimestamp, uint256 kycExpiresTimestamp);
     event WalletUnregistered(address indexed userAddress, address indexed custodian);
     event KYCStatusUpdated(address indexed userAddress, address indexed custodian, uint256 kycValidatedTimestamp, uint256 kycExpiresTimestamp);
+    event CustodianPolicyUpdated(address indexed custodian, uint256 minHalfLifeDuration, uint256 maxHalfLifeDuration, uint256 feeDiscountBps, uint256 creditShareBps);
+    event CustodianPolicyScheduled(address indexed custodian, uint256 effectiveAt);
+    event PolicyChangeDelayScheduled(uint256 delay, uint256 effectiveAt);
 
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
@@ -89,6 +131,69 @@ contract CustodianRegistry is Initializable, AccessControlUpgradeable, UUPSUpgra
         require(fiAddress != address(0), "Custodian cannot be zero address");
         _revokeRole(CUSTODIAN_ROLE, fiAddress);
         _custodians.remove(fiAddress);
+        delete _custodianPolicies[fiAddress];
+        delete _scheduledPolicies[fiAddress];
+    }
+
+    function setCustodianPolicy(
+        address fiAddress,
+        uint256 minHalfLifeDuration,
+        uint256 maxHalfLifeDuration,
+        uint256 feeDiscountBps,
+        uint256 creditShareBps
+    ) external onlyRole(ADMIN_ROLE) {
+        require(hasRole(CUSTODIAN_ROLE, fiAddress), "Policy: Not a custodian");
+        require(
+            minHalfLifeDuration == 0 || maxHalfLifeDuration == 0 || minHalfLifeDuration <= maxHalfLifeDuration,
+            "Policy: Min HalfLife exceeds max"
+        );
+        require(feeDiscountBps <= 10000, "Policy: Discount exceeds 100%");
+        require(creditShareBps <= 5000, "Policy: Credit share too high");
+
+        // Keep a change that already took effect before replacing the scheduled one
+        _custodianPolicies[fiAddress] = _effectivePolicy(fiAddress);
+        uint256 effectiveAt = block.timestamp + policyChangeDelay();
+        _scheduledPolicies[fiAddress] = ScheduledPolicy({
+            policy: CustodianPolicy({
+                minHalfLifeDuration: minHalfLifeDuration,
+                maxHalfLifeDuration: maxHalfLifeDuration,
+                feeDiscountBps: feeDiscountBps,
+                creditShareBps: creditShareBps
+            }),
+            effectiveAt: effectiveAt
+        });
+        emit CustodianPolicyUpdated(fiAddress, minHalfLifeDuration, maxHalfLifeDuration, feeDiscountBps, creditShareBps);
+        emit CustodianPolicyScheduled(fiAddress, effectiveAt);
+    }
+
+    /**
+     * @dev Sets how long policy changes wait before taking effect. The new delay itself only applies
+     * once the current delay has passed, so it cannot be lowered to push a change through early.
+     */
+    function setPolicyChangeDelay(uint256 delay) external onlyRole(ADMIN_ROLE) {
+        require(delay <= MAX_POLICY_CHANGE_DELAY, "Policy: Delay too long");
+        uint256 currentDelay = policyChangeDelay();
+        _policyChangeDelay = currentDelay;
+        _scheduledPolicyChangeDelay = delay;
+        _scheduledPolicyChangeDelayAt = block.timestamp + currentDelay;
+        emit PolicyChangeDelayScheduled(delay, _scheduledPolicyChangeDelayAt);
+    }
+
+    function policyChangeDelay() public view returns (uint256) {
+        if (_scheduledPolicyChangeDelayAt > 0 && block.timestamp >= _scheduledPolicyChangeDelayAt) {
+            return _scheduledPolicyChangeDelay;
+        }
+        return _policyChangeDelay;
+    }
+
+    /**
+     * @dev Pending policy change of a custodian, if one is scheduled and not yet effective.
+     */
+    function getScheduledCustodianPolicy(address fiAddress) external view returns (CustodianPolicy memory policy, uint256 effectiveAt) {
+        ScheduledPolicy storage scheduled = _scheduledPolicies[fiAddress];
+        if (scheduled.effectiveAt > block.timestamp) {
+            return (scheduled.policy, scheduled.effectiveAt);
+        }
     }
 
     // --- Custodian Actions ---
@@ -156,6 +261,45 @@ contract CustodianRegistry is Initializable, AccessControlUpgradeable, UUPSUpgra
         return (data.kycValidatedTimestamp > 0 && (data.kycExpiresTimestamp == 0 || data.kycExpiresTimestamp >= block.timestamp));
     }
 
+    function getCustodianPolicy(address fiAddress) external view returns (CustodianPolicy memory) {
+        return _effectivePolicy(fiAddress);
+    }
+
+    /**
+     * @dev Policy overrides for a transfer from `sender` to `recipient`. Only wallets with valid KYC
+     * carry their custodian's policy. When both parties do, the longer HalfLife bounds and the
+     * larger discount apply; credit shares stay per party.
+     */
+    function getTransferPolicy(address sender, address recipient) external view returns (TransferPolicy memory policy) {
+        CustodianPolicy memory senderPolicy = _policyOf(sender);
+        CustodianPolicy memory recipientPolicy = _policyOf(recipient);
+
+        policy.minHalfLifeDuration = _max(senderPolicy.minHalfLifeDuration, recipientPolicy.minHalfLifeDuration);
+        policy.maxHalfLifeDuration = _max(senderPolicy.maxHalfLifeDuration, recipientPolicy.maxHalfLifeDuration);
+        policy.feeDiscountBps = _max(senderPolicy.feeDiscountBps, recipientPolicy.feeDiscountBps);
+        policy.senderCreditShareBps = senderPolicy.creditShareBps;
+        policy.recipientCreditShareBps = recipientPolicy.creditShareBps;
+    }
+
+    function _policyOf(address userAddress) private view returns (CustodianPolicy memory policy) {
+        CustodyData storage data = _custodyInfo[userAddress];
+        if (data.kycValidatedTimestamp > 0 && (data.kycExpiresTimestamp == 0 || data.kycExpiresTimestamp >= block.timestamp)) {
+            policy = _effectivePolicy(data.custodian);
+        }
+    }
+
+    function _effectivePolicy(address fiAddress) private view returns (CustodianPolicy memory) {
+        ScheduledPolicy storage scheduled = _scheduledPolicies[fiAddress];
+        if (scheduled.effectiveAt > 0 && block.timestamp >= scheduled.effectiveAt) {
+            return scheduled.policy;
+        }
+        return _custodianPolicies[fiAddress];
+    }
+
+    function _max(uint256 a, uint256 b) private pure returns (uint256) {
+        return a > b ? a : b;
+    }
+
     // --- Optional: Functions for tracking custodians ---
 
     function custodianCount() external view returns (uint256) {
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title IRiskOracle
+ * @dev Source of off-chain risk scores (e.g. an AML engine) that T3Token blends into calculateRiskFactor.
+ * Scores use the same basis-point scale as the on-chain risk factor, where 10000 is neutral.
+ */
+interface IRiskOracle {
+    /**
+     * @dev Latest score for `wallet` and when it was set; `updatedAt` is 0 if the wallet has no score.
+     */
+    function getRiskScore(address wallet) external view returns (uint256 score, uint256 updatedAt);
+}
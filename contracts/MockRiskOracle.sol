@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./IRiskOracle.sol";
+
+/**
+ * @title MockRiskOracle
+ * @dev Test double for IRiskOracle. Anyone can push a score, timestamped with the current block,
+ * and the oracle can be made to revert to simulate an outage or to return malformed data. Not for
+ * production use.
+ */
+contract MockRiskOracle is IRiskOracle {
+    struct RiskScore {
+        uint256 score;
+        uint256 updatedAt;
+    }
+
+    mapping(address => RiskScore) private _scores;
+    bool public shouldRevert;
+    bool public returnsMalformedData;
+
+    function setRiskScore(address wallet, uint256 score) external {
+        _scores[wallet] = RiskScore(score, block.timestamp);
+    }
+
+    function setShouldRevert(bool _shouldRevert) external {
+        shouldRevert = _shouldRevert;
+    }
+
+    function setReturnsMalformedData(bool _returnsMalformedData) external {
+        returnsMalformedData = _returnsMalformedData;
+    }
+
+    function getRiskScore(address wallet) external view returns (uint256 score, uint256 updatedAt) {
+        require(!shouldRevert, "MockRiskOracle: Unavailable");
+        if (returnsMalformedData) {
+            // A single word instead of the (score, updatedAt) pair
+            assembly {
+                mstore(0, 1)
+                return(0, 32)
+            }
+        }
+        RiskScore storage riskScore = _scores[wallet];
+        return (riskScore.score, riskScore.updatedAt);
+    }
+}
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title T3Forwarder
+ * @dev ERC-2771 trusted forwarder for gasless T3Token transfers. A relayer submits a request signed
+ * by the token holder (typically a call to T3Token.relayedTransfer); the token recovers the signer
+ * through ERC2771ContextUpgradeable and reimburses the relayer from the signer's pre-funded fees.
+ */
+contract T3Forwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("T3Forwarder") {}
+}
@@ -0,0 +1,348 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+import "./T3TokenBase.sol";
+
+
+/**
+ * @title T3TokenAdminExtension
+ * @dev Parameter setters, the parameter timelock, wallet freezes and other admin functions
+ * of the T3 token. Never used on its own: T3Token delegates the selectors routed to this contract
+ * here, so all state read and written here is the token proxy's.
+ */
+contract T3TokenAdminExtension is T3TokenBase {
+
+    // Timelocked functions T3Token implements itself
+    bytes4 private constant SET_EXTENSION_ROUTES_SELECTOR = bytes4(keccak256("setExtensionRoutes((address,bytes4[])[])"));
+    bytes4 private constant UPGRADE_TO_AND_CALL_SELECTOR = bytes4(keccak256("upgradeToAndCall(address,bytes)"));
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address trustedForwarder_) T3TokenBase(trustedForwarder_) {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Launch pricing; adjustable afterwards through setFeeSchedule. Delegate-called from
+     * T3Token.initialize and T3Token.initializeV2, so a schedule that is already set is kept.
+     */
+    function initializeFeeSchedule() external onlyInitializing {
+        if (_feeTiers.length > 0) {
+            return;
+        }
+        FeeTier[] memory tiers = new FeeTier[](10);
+        uint256 scale = FEE_PRECISION_MULTIPLIER;
+
+        tiers[0] = FeeTier(0.01 * 10**18, 100000 * scale);
+        tiers[1] = FeeTier(0.10 * 10**18, 10000 * scale);
+        tiers[2] = FeeTier(1.00 * 10**18, 1000 * scale);
+        tiers[3] = FeeTier(10.0 * 10**18, 100 * scale);
+        tiers[4] = FeeTier(100.0 * 10**18, 10 * scale);
+        tiers[5] = FeeTier(1000.0 * 10**18, 1 * scale);
+        tiers[6] = FeeTier(10000.0 * 10**18, (1 * scale) / 10);
+        tiers[7] = FeeTier(100000.0 * 10**18, (1 * scale) / 100);
+        tiers[8] = FeeTier(1000000.0 * 10**18, (1 * scale) / 1000);
+        tiers[9] = FeeTier(type(uint256).max, (1 * scale) / 10000);
+
+        _setFeeSchedule(tiers, FeeParameters({
+            minFeeWei: 10**13,
+            maxFeePercentBps: 1000,
+            baseRiskScalerBps: 1,
+            maxRiskScalerBps: BASIS_POINTS,
+            riskScalerTierMultiplier: 10
+        }));
+    }
+
+    // --- Parameter Timelock Functions ---
+
+    /**
+     * @dev Queues an ABI-encoded call to one of the parameter setters, `setExtensionRoutes` or
+     * `upgradeToAndCall`, effective after `parameterChangeDelay`.
+     */
+    function scheduleParameterChange(bytes calldata data) external onlyRole(ADMIN_ROLE) returns (uint256 changeId) {
+        require(data.length >= 4 && _isParameterSetter(bytes4(data[:4])), "Timelock: Not a parameter setter");
+        changeId = ++lastParameterChangeId;
+        uint256 eta = block.timestamp + parameterChangeDelay;
+        _scheduledChanges[changeId] = ScheduledChange({ data: data, eta: eta });
+        emit ParameterChangeScheduled(changeId, bytes4(data[:4]), data, eta);
+    }
+
+    function cancelParameterChange(uint256 changeId) external onlyRole(ADMIN_ROLE) {
+        require(_scheduledChanges[changeId].eta > 0, "Timelock: Unknown change");
+        delete _scheduledChanges[changeId];
+        emit ParameterChangeCancelled(changeId);
+    }
+
+    function executeParameterChange(uint256 changeId) external onlyRole(ADMIN_ROLE) {
+        ScheduledChange storage change = _scheduledChanges[changeId];
+        require(change.eta > 0, "Timelock: Unknown change");
+        require(block.timestamp >= change.eta, "Timelock: Change not yet effective");
+
+        bytes memory data = change.data;
+        delete _scheduledChanges[changeId];
+        // Re-enters through the proxy so the setter sees this contract as the caller
+        Address.functionCall(address(this), data);
+        emit ParameterChangeExecuted(changeId);
+    }
+
+    function getScheduledChange(uint256 changeId) external view returns (bytes memory data, uint256 eta) {
+        ScheduledChange storage change = _scheduledChanges[changeId];
+        return (change.data, change.eta);
+    }
+
+    function _isParameterSetter(bytes4 selector) private pure returns (bool) {
+        return selector == SET_EXTENSION_ROUTES_SELECTOR ||
+            selector == UPGRADE_TO_AND_CALL_SELECTOR ||
+            selector == this.setCustodianRegistry.selector ||
+            selector == this.setTreasuryAddress.selector ||
+            selector == this.setHalfLifeDuration.selector ||
+            selector == this.setMinHalfLifeDuration.selector ||
+            selector == this.setMaxHalfLifeDuration.selector ||
+            selector == this.setInactivityResetPeriod.selector ||
+            selector == this.setFeeSchedule.selector ||
+            selector == this.setReversalFeePolicy.selector ||
+            selector == this.setDisputeWindow.selector ||
+            selector == this.setCreditDecayPolicy.selector ||
+            selector == this.setMinterAllowance.selector ||
+            selector == this.setMintApprovalThreshold.selector ||
+            selector == this.setVelocityLimits.selector ||
+            selector == this.setRiskDecayPeriod.selector ||
+            selector == this.setRiskOracle.selector ||
+            selector == this.setParameterChangeDelay.selector;
+    }
+
+    // --- Wallet Freeze Functions ---
+
+    function freezeWallet(address wallet) external onlyRole(COMPLIANCE_ROLE) {
+        _setFrozen(wallet, true);
+    }
+
+    function unfreezeWallet(address wallet) external onlyRole(COMPLIANCE_ROLE) {
+        _setFrozen(wallet, false);
+    }
+
+    /**
+     * @dev Batch import path for sanctions lists. Wallets already frozen are skipped.
+     */
+    function freezeWallets(address[] calldata wallets) external onlyRole(COMPLIANCE_ROLE) {
+        for (uint256 i = 0; i < wallets.length; i++) {
+            if (!frozenWallets[wallets[i]]) {
+                _setFrozen(wallets[i], true);
+            }
+        }
+    }
+
+    /**
+     * @dev Court-order style seizure: moves `amount` from a frozen wallet to `recipient`, regardless of
+     * HalfLife locks and of the pause. `caseReference` identifies the order in the event.
+     */
+    function seize(address wallet, address recipient, uint256 amount, bytes32 caseReference) external onlyRole(COMPLIANCE_ROLE) {
+        require(frozenWallets[wallet], "Compliance: Wallet not frozen");
+        require(recipient != address(0) && recipient != PREFUND_ESCROW, "Compliance: Invalid recipient");
+        require(!frozenWallets[recipient], "Compliance: Recipient frozen");
+        require(amount > 0, "Compliance: Amount must be positive");
+        ERC20Upgradeable._update(wallet, recipient, amount);
+        // Stamps the recipient's first-seen time; a seizure is not the frozen wallet's own outbound transfer
+        _recordWalletActivity(address(0), recipient);
+        emit FundsSeized(wallet, recipient, amount, caseReference);
+    }
+
+    /**
+     * @dev Burns the whole balance of a frozen wallet, including its pre-funded fees and sponsor
+     * deposits held in escrow (reported together as `prefundBurned`).
+     */
+    function wipeFrozen(address wallet, bytes32 caseReference) external onlyRole(COMPLIANCE_ROLE) {
+        require(frozenWallets[wallet], "Compliance: Wallet not frozen");
+        uint256 balance = balanceOf(wallet);
+        uint256 prefund = prefundedFeeBalances[wallet] + sponsorFeeBalances[wallet];
+        if (prefund > 0) {
+            prefundedFeeBalances[wallet] = 0;
+            sponsorFeeBalances[wallet] = 0;
+            totalPrefundedFees -= prefund;
+            ERC20Upgradeable._update(PREFUND_ESCROW, address(0), prefund);
+        }
+        ERC20Upgradeable._update(wallet, address(0), balance);
+        emit FrozenFundsWiped(wallet, balance, prefund, caseReference);
+    }
+
+    function _setFrozen(address wallet, bool frozen) private {
+        require(wallet != address(0), "Compliance: Wallet cannot be zero address");
+        frozenWallets[wallet] = frozen;
+        if (frozen) {
+            emit WalletFrozen(wallet, _msgSender());
+        } else {
+            emit WalletUnfrozen(wallet, _msgSender());
+        }
+    }
+
+    // --- Velocity Limit Functions ---
+
+    /**
+     * @dev Sets the tiered daily transfer limits. A wallet gets the tightest limit among the tiers that
+     * apply to it, unless compliance has set its own with {setWalletVelocityLimit}.
+     */
+    function setVelocityLimits(VelocityLimits calldata limits) external onlyParameterAdmin {
+        require(limits.highRiskThreshold > 0 || limits.highRiskDailyLimit == 0, "Velocity: High-risk limit requires a threshold");
+        velocityLimits = limits;
+        emit VelocityLimitsUpdated(limits);
+    }
+
+    function setWalletVelocityLimit(address wallet, uint256 dailyLimit) external onlyRole(COMPLIANCE_ROLE) {
+        walletVelocityLimits[wallet] = dailyLimit;
+        emit WalletVelocityLimitUpdated(wallet, dailyLimit);
+    }
+
+    function setCustodianVelocityLimit(address custodian, uint256 dailyLimit) external onlyRole(COMPLIANCE_ROLE) {
+        custodianVelocityLimits[custodian] = dailyLimit;
+        emit CustodianVelocityLimitUpdated(custodian, dailyLimit);
+    }
+
+    /**
+     * @dev What `wallet` can still send today under its own limit and under its custodian's;
+     * type(uint256).max where no limit applies.
+     */
+    function getRemainingVelocityAllowance(address wallet)
+        external
+        view
+        returns (uint256 walletRemaining, uint256 custodianRemaining)
+    {
+        walletRemaining = _remainingVelocity(_walletVelocity[wallet], _walletVelocityLimit(wallet));
+        custodianRemaining = type(uint256).max;
+        if (address(custodianRegistry) != address(0)) {
+            address custodian = custodianRegistry.getCustodian(wallet);
+            uint256 custodianLimit = custodianVelocityLimits[custodian];
+            if (custodian != address(0) && custodianLimit > 0) {
+                custodianRemaining = _remainingVelocity(_custodianVelocity[custodian], custodianLimit);
+            }
+        }
+    }
+
+    // --- Admin / Role Management Functions (Unchanged) ---
+     function flagAbnormalTransaction(address wallet) external onlyRole(ADMIN_ROLE) {
+         _ensureProfileExistsForWrite(wallet);
+         _settleRiskDecay(wallet);
+         walletRiskProfiles[wallet].abnormalTxCount++;
+         _riskDecayCheckpoint[wallet] = block.timestamp;
+         _reportRiskFactor(wallet);
+      }
+
+    /**
+     * @dev Withdraws one abnormal transaction flag, e.g. one raised in error. `reasonCode` is logged
+     * in RiskProfileAdjusted for the audit trail.
+     */
+    function unflagAbnormalTransaction(address wallet, bytes32 reasonCode) external onlyRole(ADMIN_ROLE) {
+        _settleRiskDecay(wallet);
+        require(walletRiskProfiles[wallet].abnormalTxCount > 0, "Risk: No abnormal flags");
+        walletRiskProfiles[wallet].abnormalTxCount--;
+        emit RiskProfileAdjusted(wallet, _msgSender(), reasonCode);
+        _reportRiskFactor(wallet);
+    }
+
+    /**
+     * @dev Clears the reversal, abnormal flag and dispute history of `wallet`, keeping its creation time.
+     */
+    function resetRiskProfile(address wallet, bytes32 reasonCode) external onlyRole(ADMIN_ROLE) {
+        WalletRiskProfile storage profile = walletRiskProfiles[wallet];
+        profile.reversalCount = 0;
+        profile.lastReversal = 0;
+        profile.abnormalTxCount = 0;
+        profile.disputesLost = 0;
+        emit RiskProfileAdjusted(wallet, _msgSender(), reasonCode);
+        _reportRiskFactor(wallet);
+    }
+      function setTreasuryAddress(address _treasuryAddress) external onlyParameterAdmin {
+          require(_treasuryAddress != address(0), "Treasury address cannot be zero");
+          treasuryAddress = _treasuryAddress;
+       }
+       function setCustodianRegistry(address _custodianRegistry) external onlyParameterAdmin {
+          require(_custodianRegistry != address(0) || kycPolicy == KYCPolicy.Off, "KYC: Policy requires registry");
+          custodianRegistry = CustodianRegistry(_custodianRegistry);
+          emit CustodianRegistryUpdated(_custodianRegistry);
+       }
+       function setKYCPolicy(KYCPolicy _kycPolicy) external onlyRole(ADMIN_ROLE) {
+          require(_kycPolicy == KYCPolicy.Off || address(custodianRegistry) != address(0), "KYC: Registry not set");
+          kycPolicy = _kycPolicy;
+          emit KYCPolicyUpdated(_kycPolicy);
+       }
+       function setHalfLifeDuration(uint256 _halfLifeDuration) external onlyParameterAdmin {
+          require(_halfLifeDuration >= minHalfLifeDuration, "Below minimum");
+          require(_halfLifeDuration <= maxHalfLifeDuration, "Above maximum");
+          halfLifeDuration = _halfLifeDuration;
+       }
+       function setMinHalfLifeDuration(uint256 _minHalfLifeDuration) external onlyParameterAdmin {
+          require(_minHalfLifeDuration > 0, "Min must be positive");
+          require(_minHalfLifeDuration <= maxHalfLifeDuration, "Min exceeds max");
+          minHalfLifeDuration = _minHalfLifeDuration;
+          if (halfLifeDuration < minHalfLifeDuration) {
+              halfLifeDuration = minHalfLifeDuration;
+          }
+       }
+       function setMaxHalfLifeDuration(uint256 _maxHalfLifeDuration) external onlyParameterAdmin {
+          require(_maxHalfLifeDuration > 0, "Max must be positive");
+          require(_maxHalfLifeDuration >= minHalfLifeDuration, "Max below minimum");
+          maxHalfLifeDuration = _maxHalfLifeDuration;
+           if (halfLifeDuration > maxHalfLifeDuration) {
+              halfLifeDuration = maxHalfLifeDuration;
+          }
+       }
+       function setInactivityResetPeriod(uint256 _inactivityResetPeriod) external onlyParameterAdmin {
+          require(_inactivityResetPeriod > 0, "Period must be positive");
+          inactivityResetPeriod = _inactivityResetPeriod;
+       }
+       function setFeeSchedule(FeeTier[] calldata tiers, FeeParameters calldata parameters) external onlyParameterAdmin {
+          _setFeeSchedule(tiers, parameters);
+       }
+       function setReversalFeePolicy(uint256 _feeRefundBps, bool _clawbackCredits, uint256 _penaltyFeeBps) external onlyParameterAdmin {
+          require(_feeRefundBps <= BASIS_POINTS, "Refund share exceeds 100%");
+          require(_penaltyFeeBps <= MAX_REVERSAL_PENALTY_BPS, "Penalty fee too high");
+          reversalFeePolicy = ReversalFeePolicy(_feeRefundBps, _clawbackCredits, _penaltyFeeBps);
+          emit ReversalFeePolicyUpdated(_feeRefundBps, _clawbackCredits, _penaltyFeeBps);
+       }
+       function setDisputeWindow(uint256 _disputeWindow) external onlyParameterAdmin {
+          disputeWindow = _disputeWindow;
+          emit DisputeWindowUpdated(_disputeWindow);
+       }
+       function setCreditDecayPolicy(uint256 _delay, uint256 _period) external onlyParameterAdmin {
+          require(_period > 0 || _delay == 0, "Credits: Delay requires a decay period");
+          creditDecayPolicy = CreditDecayPolicy(_delay, _period);
+          emit CreditDecayPolicyUpdated(_delay, _period);
+       }
+       /**
+        * @dev Sets the most `minter` may have outstanding (minted minus redeemed) and the most it may
+        * mint in any 24 hours (0 for no daily limit). Mints already in the window count against a new limit.
+        */
+       function setMinterAllowance(address minter, uint256 cap, uint256 dailyLimit) external onlyParameterAdmin {
+          require(minter != address(0), "Mint: Minter cannot be zero address");
+          MinterAllowance storage allowance = minterAllowances[minter];
+          allowance.cap = cap;
+          allowance.dailyLimit = dailyLimit;
+          emit MinterAllowanceUpdated(minter, cap, dailyLimit);
+       }
+       function setMintApprovalThreshold(uint256 _threshold) external onlyParameterAdmin {
+          mintApprovalThreshold = _threshold;
+          emit MintApprovalThresholdUpdated(_threshold);
+       }
+       /**
+        * @dev Also applies to time already elapsed since each wallet's last incident.
+        */
+       function setRiskDecayPeriod(uint256 _period) external onlyParameterAdmin {
+          riskDecayPeriod = _period;
+          emit RiskDecayPeriodUpdated(_period);
+       }
+       /**
+        * @dev Blends `oracle`'s scores into calculateRiskFactor with weight `weightBps`, ignoring scores
+        * older than `maxStaleness` seconds. The zero address turns the oracle off.
+        */
+       function setRiskOracle(address oracle, uint256 weightBps, uint256 maxStaleness) external onlyParameterAdmin {
+          require(weightBps <= BASIS_POINTS, "Risk: Weight exceeds 100%");
+          require(oracle == address(0) || maxStaleness > 0, "Risk: Staleness bound required");
+          require(oracle == address(0) || oracle.code.length > 0, "Risk: Oracle is not a contract");
+          riskOracleConfig = RiskOracleConfig(IRiskOracle(oracle), weightBps, maxStaleness);
+          emit RiskOracleUpdated(oracle, weightBps, maxStaleness);
+       }
+       function setParameterChangeDelay(uint256 _delay) external onlyParameterAdmin {
+          require(_delay <= MAX_PARAMETER_CHANGE_DELAY, "Timelock: Delay too long");
+          parameterChangeDelay = _delay;
+          emit ParameterChangeDelayUpdated(_delay);
+       }
+}
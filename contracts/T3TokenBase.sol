@@ -0,0 +1,1262 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/metatx/ERC2771ContextUpgradeable.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "./CustodianRegistry.sol";
+import "./IRiskOracle.sol";
+
+
+/**
+ * @title T3TokenBase
+ * @dev Roles, storage layout, events and shared helpers of the T3 token. Inherited by T3Token and
+ * every extension it routes to, so all of them agree on every storage slot.
+ * New state variables must only ever be appended.
+ * All of them are built with the same ERC-2771 trusted forwarder, so `_msgSender()` resolves the
+ * signer of a relayed call the same way on either side of the delegatecall.
+ */
+abstract contract T3TokenBase is Initializable, ERC2771ContextUpgradeable, ERC20PausableUpgradeable, AccessControlUpgradeable, ReentrancyGuardUpgradeable {
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    // --- Roles ---
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant BURNER_ROLE = keccak256("BURNER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant ARBITER_ROLE = keccak256("ARBITER_ROLE");
+    bytes32 public constant COMPLIANCE_ROLE = keccak256("COMPLIANCE_ROLE");
+
+    // --- Fee Structure Constants ---
+    uint256 internal constant BASIS_POINTS = 10000; 
+    uint256 internal constant FEE_PRECISION_MULTIPLIER = 1000; 
+    uint256 internal constant EFFECTIVE_BASIS_POINTS = BASIS_POINTS * FEE_PRECISION_MULTIPLIER; 
+    uint256 internal constant DEFAULT_CREDIT_SHARE_BPS = 2500;
+    uint256 internal constant MAX_FEE_TIERS = 16;
+    uint256 internal constant MAX_TIER_RATE = 100000 * FEE_PRECISION_MULTIPLIER;
+    uint256 internal constant MAX_REVERSAL_PENALTY_BPS = 1000;
+    uint256 internal constant MAX_PARAMETER_CHANGE_DELAY = 30 days;
+    uint256 internal constant MAX_ORACLE_RISK_SCORE = 125000; // Highest factor the on-chain heuristics can produce
+    uint256 internal constant RISK_ORACLE_GAS_LIMIT = 50000;
+
+    // --- HalfLife Constants ---
+    // Pending incoming transfers a spend may scan for expired locks before giving up; see {releaseExpiredLocks}
+    uint256 internal constant LOCK_RELEASE_SCAN_LIMIT = 32;
+    uint256 public halfLifeDuration; 
+    uint256 public minHalfLifeDuration; 
+    uint256 public maxHalfLifeDuration; 
+    uint256 public inactivityResetPeriod; 
+
+    // --- Addresses ---
+    address public treasuryAddress;
+    // Keyless address holding pre-funded fees; only this contract's fee logic moves tokens out of it
+    address public constant PREFUND_ESCROW = address(uint160(uint256(keccak256("T3Token.prefundEscrow"))));
+
+    // --- Data Structures ---
+    // Which parties of a transfer or mint must hold valid KYC in the CustodianRegistry.
+    enum KYCPolicy { Off, RecipientOnly, BothParties }
+
+    // Per-recipient record of the first release; only kept so its storage slot stays reserved.
+    struct LegacyTransferMetadata {
+        uint256 commitWindowEnd;
+        uint256 halfLifeDuration;
+        address originator;
+        uint256 transferCount;
+        bytes32 reversalHash;
+        uint256 totalFeeAssessed;
+        bool isReversed;
+    }
+    // One record per incoming transfer, keyed by transfer ID, so each payment has its own HalfLife lifecycle.
+    struct TransferMetadata {
+        uint256 commitWindowEnd;
+        uint256 halfLifeDuration;
+        address originator;
+        address recipient;
+        uint256 amount;
+        uint256 totalFeeAssessed; 
+        bool isReversed;
+        uint256 reversedAmount; // Part of `amount` already reversed; the rest stays in the commit window
+        uint256 senderCredits; // Incentive credits processFee granted the originator for this transfer
+        uint256 recipientCredits; // Incentive credits processFee granted the recipient for this transfer
+        uint256 recipientFeePaid; // Part of `totalFeeAssessed` the recipient bore, deducted from the amount it received
+        uint256 originatorFeePaid; // Part the originator paid in tokens, from its balance or pre-funded fees
+        address feeSponsor; // Sponsor that paid `sponsorFeePaid` for the originator; the rest was paid with credits
+        uint256 sponsorFeePaid;
+    }
+    // A reversal that is held in escrow until its contest window closes or an arbiter rules on it.
+    enum DisputeStatus { None, Escrowed, Contested, Resolved }
+    struct Dispute {
+        uint256 amount;
+        uint256 contestDeadline;
+        DisputeStatus status;
+    }
+    // Applied whenever reversed funds reach the originator; all shares are in basis points.
+    struct ReversalFeePolicy {
+        uint256 feeRefundBps; // Share of the original fee refunded from the treasury to the originator
+        bool clawbackCredits; // Take back the incentive credits both parties earned on the transfer
+        uint256 penaltyFeeBps; // Charged to the originator on the reversed amount, paid to the treasury
+    }
+    // Marginal fee tier: `rate` (basis points scaled by FEE_PRECISION_MULTIPLIER) applies to the part of an amount up to `ceiling`.
+    struct FeeTier {
+        uint256 ceiling;
+        uint256 rate;
+    }
+    struct FeeParameters {
+        uint256 minFeeWei;
+        uint256 maxFeePercentBps;
+        uint256 baseRiskScalerBps;
+        uint256 maxRiskScalerBps;
+        uint256 riskScalerTierMultiplier;
+    }
+    // Encoded call to one of the parameter setters, executable from `eta` onwards.
+    struct ScheduledChange {
+        bytes data;
+        uint256 eta;
+    }
+    // A sponsor covering one wallet's fees, up to `remaining`
+    struct FeeSponsorship {
+        address sponsor;
+        uint256 remaining;
+    }
+    struct RollingAverage { 
+        uint256 totalAmount;
+        uint256 count;
+        uint256 lastUpdated;
+    }
+    struct WalletRiskProfile { 
+        uint256 reversalCount;
+        uint256 lastReversal;
+        uint256 creationTime;
+        uint256 abnormalTxCount;
+        uint256 disputesLost;
+    }
+    struct IncentiveCredits { 
+        uint256 amount;
+        uint256 lastUpdated; // Decay clock: when `amount` was earned, weighted by the size of each grant
+    }
+    // Credits idle for `delay` seconds decay linearly to zero over `period` seconds (period 0 disables decay)
+    struct CreditDecayPolicy {
+        uint256 delay;
+        uint256 period;
+    }
+    // Issuance a minter may have outstanding (minted minus redeemed) and mint in any 24 hours
+    struct MinterAllowance {
+        uint256 cap;
+        uint256 dailyLimit; // 0 means no daily limit beyond the cap
+        uint256 lastMintHour; // Hour (timestamp / 1 hours) of the last mint counted against the daily limit
+        uint256[24] mintedPerHour; // Mints of the last 24 hours, indexed by hour % 24
+    }
+    struct MintRequest {
+        address minter;
+        address recipient;
+        uint256 amount;
+    }
+    // Daily transfer limits by wallet tier; 0 means the tier adds no limit
+    struct VelocityLimits {
+        uint256 newWalletDailyLimit;   // Wallets younger than 7 days
+        uint256 unverifiedDailyLimit;  // Wallets without valid KYC in the CustodianRegistry
+        uint256 verifiedDailyLimit;    // Wallets with valid KYC
+        uint256 highRiskThreshold;     // Risk factor from which highRiskDailyLimit applies (0 disables)
+        uint256 highRiskDailyLimit;
+    }
+    struct VelocityWindow {
+        uint256 windowStart;
+        uint256 used;
+    }
+    struct RiskOracleConfig {
+        IRiskOracle oracle;
+        uint256 weightBps;    // Share of the blended risk factor taken from the oracle's score
+        uint256 maxStaleness; // Scores older than this many seconds are ignored
+    }
+    // Onboarding and activity of a wallet as seen by the risk engine, see getWalletStats
+    struct WalletStats {
+        uint256 firstSeen;         // First inbound value (mint or transfer); 0 if never seen
+        uint256 firstOutbound;     // First outbound value; 0 if the wallet never sent
+        uint256 age;               // Seconds since firstSeen
+        bool isNewWallet;          // Inside the 7-day new-wallet window
+        uint256 reversalCount;     // After risk decay
+        uint256 abnormalTxCount;   // After risk decay
+        uint256 disputesLost;
+        uint256 lastReversal;
+        uint256 riskFactor;
+    }
+    // Selectors T3Token's fallback routes to one extension contract
+    struct ExtensionRoute {
+        address extension;
+        bytes4[] selectors;
+    }
+    // How the sender's part of a fee was paid
+    struct FeePayment {
+        address sponsor;
+        uint256 fromSponsor;
+        uint256 fromPrefund; // The sender's own pre-funded fees
+        uint256 fromCredits;
+        uint256 fromBalance;
+    }
+    struct InterbankLiabilityEntry {
+        address debtor;
+        address creditor;
+        uint256 amount;
+    }
+    struct FeeDetails { 
+        uint256 requestedAmount; 
+        uint256 baseFeeAmount;
+        uint256 senderRiskScore;
+        uint256 recipientRiskScore;
+        uint256 applicableRiskScore;
+        uint256 amountRiskScaler;
+        uint256 scaledRiskImpactBps;
+        uint256 finalRiskFactorBps;
+        uint256 feeBeforeCreditsAndBounds; 
+        uint256 availableCredits;
+        uint256 creditsToApply; 
+        uint256 feeAfterCredits;  
+        uint256 maxFeeBound;
+        uint256 minFeeBound;
+        bool maxFeeApplied;
+        bool minFeeApplied;
+        uint256 totalFeeAssessed; 
+        uint256 netAmountToSendToRecipient; 
+        uint256 feeBorneByRecipient;
+    }
+
+    // --- Mappings ---
+    /// @custom:oz-renamed-from transferData
+    mapping(address => LegacyTransferMetadata) private __deprecatedTransferData; // Replaced by the ID-keyed `_transferData`
+    mapping(address => RollingAverage) public rollingAverages;
+    mapping(address => mapping(address => uint256)) public transactionCountBetween;
+    mapping(address => WalletRiskProfile) public walletRiskProfiles;
+    mapping(address => IncentiveCredits) public incentiveCredits;
+    mapping(address => uint256) public mintedByMinter;
+    mapping(address => mapping(address => uint256)) public interbankLiability;
+    mapping(address => uint256) public prefundedFeeBalances; 
+
+    // --- Compliance ---
+    CustodianRegistry public custodianRegistry;
+    KYCPolicy public kycPolicy;
+
+    // --- Transfer Ledger ---
+    uint256 public lastTransferId;
+    mapping(address => uint256) public latestTransferId; // Most recent incoming transfer per recipient
+    mapping(address => uint256[]) internal _pendingIncoming; // Incoming transfer IDs that may still be inside their commit window
+    mapping(uint256 => uint256) public returnProposals; // Amount the recipient side offered to send back, per transfer ID
+
+    // --- Disputes ---
+    uint256 public disputeWindow; // Seconds a recipient has to contest a reversal; 0 settles reversals immediately
+    mapping(uint256 => Dispute) public disputes;
+    ReversalFeePolicy public reversalFeePolicy;
+
+    // --- Fee Schedule ---
+    FeeTier[] internal _feeTiers; // Ceilings strictly increasing
+    FeeParameters public feeParameters;
+
+    // --- Parameter Timelock ---
+    uint256 public parameterChangeDelay; // 0 lets admins change parameters immediately
+    uint256 public lastParameterChangeId;
+    mapping(uint256 => ScheduledChange) internal _scheduledChanges;
+
+    // --- Incentive Credits ---
+    CreditDecayPolicy public creditDecayPolicy;
+
+    // --- Fee Prefund Escrow ---
+    uint256 public totalPrefundedFees; // Pre-funded and sponsor balances; always equals balanceOf(PREFUND_ESCROW)
+
+    // --- Fee Sponsorship ---
+    mapping(address => uint256) public sponsorFeeBalances; // Unused sponsor deposits, held in PREFUND_ESCROW
+    mapping(address => FeeSponsorship) public feeSponsorships; // Direct sponsorship per wallet
+    mapping(address => uint256) public custodianSponsorshipCaps; // Per-wallet cap a custodian grants every wallet it custodies
+    mapping(address => mapping(address => uint256)) public custodianSponsoredFees; // Fees a custodian has covered, per wallet
+
+    // --- Fee Bearer ---
+    mapping(address => uint256) public recipientFeeShareBps; // Share of incoming transfer fees a recipient bears; 0 means the sender pays
+
+    // --- Interbank Clearing ---
+    EnumerableSet.AddressSet internal _interbankParticipants; // FIs with at least one open liability, owed or owing
+    mapping(address => EnumerableSet.AddressSet) internal _interbankCreditors; // FIs each debtor owes
+    mapping(address => EnumerableSet.AddressSet) internal _interbankDebtors; // FIs owing each creditor
+    mapping(address => uint256) public interbankPayable; // Gross amount each FI owes
+    mapping(address => uint256) public interbankReceivable; // Gross amount owed to each FI
+    uint256 public totalInterbankLiability; // Sum of all outstanding liabilities
+
+    // --- Issuance Controls ---
+    mapping(address => MinterAllowance) public minterAllowances;
+    mapping(address => uint256) public redeemedByMinter; // Issuance burned back through {redeem}, per issuing minter
+    uint256 public mintApprovalThreshold; // Mints above this need a second approver; 0 disables the check
+    uint256 public lastMintRequestId;
+    mapping(uint256 => MintRequest) public mintRequests;
+
+    // --- Wallet Freezes ---
+    mapping(address => bool) public frozenWallets; // Frozen or denylisted wallets can neither send nor receive
+
+    // --- Velocity Limits ---
+    VelocityLimits public velocityLimits;
+    mapping(address => uint256) public walletVelocityLimits; // Replaces the tiered daily limit for a wallet; 0 uses the tiers
+    mapping(address => uint256) public custodianVelocityLimits; // Daily cap on the combined outflow of a custodian's wallets
+    mapping(address => VelocityWindow) internal _walletVelocity;
+    mapping(address => VelocityWindow) internal _custodianVelocity;
+
+    // --- Risk Profile Decay ---
+    uint256 public riskDecayPeriod; // Each full period without an incident forgives one reversal and one abnormal flag; 0 disables
+    mapping(address => uint256) internal _riskDecayCheckpoint; // Last incident or booked decay, per wallet
+    mapping(address => uint256) public reportedRiskFactor; // Risk factor last announced in RiskFactorUpdated
+
+    // --- Risk Oracle ---
+    RiskOracleConfig public riskOracleConfig;
+
+    // --- Wallet Onboarding ---
+    mapping(address => uint256) public firstOutboundTime; // First time each wallet sent value; its first-seen time is walletRiskProfiles.creationTime
+
+    // --- Extension Routing ---
+    mapping(bytes4 => address) public extensionForSelector; // Extension T3Token's fallback delegates each selector to
+
+    // --- HalfLife Locks ---
+    mapping(address => uint256) internal _lockedIncoming; // Sum of _incomingLock over a wallet's pending incoming transfers
+    mapping(address => mapping(address => uint256)) internal _lockedIncomingFrom; // Same, per originator
+    mapping(uint256 => uint256) internal _incomingLock; // Part of a transfer still counted as locked for its recipient
+    mapping(address => uint256) internal _pendingIncomingCursor; // Where the next expired-lock scan of _pendingIncoming resumes
+
+    // --- Transfer Records ---
+    mapping(uint256 => TransferMetadata) internal _transferData; // Per transfer ID; see `lastTransferId` and `latestTransferId`
+
+    // --- Events ---
+     event TransferWithFee(
+        address indexed from,
+        address indexed to,
+        uint256 amountSentToRecipient,
+        uint256 totalFeeAssessed,
+        uint256 feePaidFromBalance,
+        uint256 feePaidFromPrefund,
+        uint256 feePaidFromCredits,
+        uint256 feePaidByRecipient
+    );
+     event TransferRecorded(uint256 indexed transferId, address indexed from, address indexed to, uint256 amount, uint256 commitWindowEnd);
+     event TransferReversed(uint256 indexed transferId, address indexed from, address indexed to, uint256 amount);
+     event ReturnProposed(uint256 indexed transferId, address indexed proposer, uint256 amount);
+     event ReturnAccepted(uint256 indexed transferId, address indexed originator, uint256 amount);
+     event HalfLifeExpired(uint256 indexed transferId, address indexed wallet, uint256 timestamp);
+     event LoyaltyRefundProcessed(address indexed wallet, uint256 amount);
+     event RiskFactorUpdated(address indexed wallet, uint256 newRiskFactor); 
+     event InterbankLiabilityRecorded(address indexed debtor, address indexed creditor, uint256 amount);
+     event InterbankLiabilityCleared(address indexed debtor, address indexed creditor, uint256 amountCleared);
+     event InterbankLiabilitySettled(address indexed debtor, address indexed creditor, uint256 amount);
+     event InterbankNettingCompleted(uint256 participantCount, uint256 grossAmount, uint256 netAmount);
+     event TokensMinted(address indexed minter, address indexed recipient, uint256 amount);
+     event TokensRedeemed(address indexed burner, address indexed minter, uint256 amount);
+     event MinterAllowanceUpdated(address indexed minter, uint256 cap, uint256 dailyLimit);
+     event MintApprovalThresholdUpdated(uint256 threshold);
+     event MintRequested(uint256 indexed requestId, address indexed minter, address indexed recipient, uint256 amount);
+     event MintApproved(uint256 indexed requestId, address indexed approver);
+     event MintRequestCancelled(uint256 indexed requestId);
+     event FeePrefunded(address indexed user, uint256 amount); 
+     event PrefundedFeeWithdrawn(address indexed user, uint256 amount); 
+     event WalletFrozen(address indexed wallet, address indexed operator);
+     event WalletUnfrozen(address indexed wallet, address indexed operator);
+     event FundsSeized(address indexed wallet, address indexed recipient, uint256 amount, bytes32 indexed caseReference);
+     event FrozenFundsWiped(address indexed wallet, uint256 balanceBurned, uint256 prefundBurned, bytes32 indexed caseReference);
+     event VelocityLimitsUpdated(VelocityLimits limits);
+     event WalletVelocityLimitUpdated(address indexed wallet, uint256 dailyLimit);
+     event CustodianVelocityLimitUpdated(address indexed custodian, uint256 dailyLimit);
+     event RiskDecayPeriodUpdated(uint256 period);
+     event RiskOracleUpdated(address indexed oracle, uint256 weightBps, uint256 maxStaleness);
+     event RiskProfileAdjusted(address indexed wallet, address indexed operator, bytes32 indexed reasonCode);
+     event PrefundedFeeUsed(address indexed user, uint256 amountUsed); 
+     event IncentiveCreditUsed(address indexed user, uint256 amountUsed); 
+     event CustodianRegistryUpdated(address indexed registry);
+     event KYCPolicyUpdated(KYCPolicy policy);
+     event ReversalEscrowed(uint256 indexed transferId, uint256 amount, uint256 contestDeadline);
+     event ReversalContested(uint256 indexed transferId, address indexed recipient);
+     event DisputeResolved(uint256 indexed transferId, address indexed resolver, address indexed winner, uint256 amount);
+     event DisputeWindowUpdated(uint256 disputeWindow);
+     event RelayerReimbursed(address indexed relayer, address indexed user, uint256 amount);
+     event BatchTransferItem(address indexed sender, uint256 indexed index, address indexed recipient, uint256 amount, uint256 fee, uint256 transferId);
+     event BatchTransferItemFailed(address indexed sender, uint256 indexed index, address indexed recipient, uint256 amount, bytes reason);
+     event BatchTransferCompleted(
+        address indexed sender,
+        uint256 itemCount,
+        uint256 successCount,
+        uint256 totalAmount,
+        uint256 totalFee,
+        uint256 feePaidFromPrefund,
+        uint256 feePaidFromCredits,
+        uint256 feePaidFromBalance
+     );
+     event FeeScheduleUpdated(FeeTier[] tiers, FeeParameters parameters);
+     event ParameterChangeScheduled(uint256 indexed changeId, bytes4 indexed selector, bytes data, uint256 eta);
+     event ParameterChangeCancelled(uint256 indexed changeId);
+     event ParameterChangeExecuted(uint256 indexed changeId);
+     event ParameterChangeDelayUpdated(uint256 delay);
+     event ReversalFeePolicyUpdated(uint256 feeRefundBps, bool clawbackCredits, uint256 penaltyFeeBps);
+     event ReversalSettled(uint256 indexed transferId, uint256 feeRefunded, uint256 creditsClawedBack, uint256 penaltyFee);
+     event CreditDecayPolicyUpdated(uint256 delay, uint256 period);
+     event IncentiveCreditsDecayed(address indexed wallet, uint256 amount);
+     event SponsorFundsDeposited(address indexed sponsor, uint256 amount);
+     event SponsorFundsWithdrawn(address indexed sponsor, uint256 amount);
+     event FeeSponsorshipUpdated(address indexed sponsor, address indexed wallet, uint256 cap);
+     event CustodianSponsorshipUpdated(address indexed custodian, uint256 capPerWallet);
+     event SponsoredFeeUsed(address indexed sponsor, address indexed wallet, uint256 amount);
+     event RecipientFeeShareUpdated(address indexed recipient, uint256 shareBps);
+     event ExtensionRoutesUpdated(address indexed extension, bytes4[] selectors);
+
+
+    /**
+     * @dev Guards everything covered by the parameter timelock: the HalfLife and fee parameter setters,
+     * extension routes and upgrades. While `parameterChangeDelay` is zero an admin calls them directly;
+     * otherwise they only run through T3TokenAdminExtension.executeParameterChange.
+     */
+    modifier onlyParameterAdmin() {
+        if (_msgSender() != address(this)) {
+            _checkRole(ADMIN_ROLE);
+            require(parameterChangeDelay == 0, "Timelock: Change must be scheduled");
+        }
+        _;
+    }
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address trustedForwarder_) ERC2771ContextUpgradeable(trustedForwarder_) {}
+
+    function _msgSender() internal view virtual override(ContextUpgradeable, ERC2771ContextUpgradeable) returns (address) {
+        return ERC2771ContextUpgradeable._msgSender();
+    }
+
+    function _msgData() internal view virtual override(ContextUpgradeable, ERC2771ContextUpgradeable) returns (bytes calldata) {
+        return ERC2771ContextUpgradeable._msgData();
+    }
+
+    function _contextSuffixLength() internal view virtual override(ContextUpgradeable, ERC2771ContextUpgradeable) returns (uint256) {
+        return ERC2771ContextUpgradeable._contextSuffixLength();
+    }
+
+    // --- Fee Calculation ---
+
+    function calculateBaseFeeAmount(uint256 amount) internal view returns (uint256) {
+        if (amount == 0) return 0;
+        uint256 totalFee = 0;
+        uint256 tierFloor = 0;
+
+        for (uint i = 0; i < _feeTiers.length; i++) {
+            FeeTier storage tier = _feeTiers[i];
+            uint256 amountInTier = (amount < tier.ceiling ? amount : tier.ceiling) - tierFloor;
+
+            if (amountInTier > 0 && tier.rate > 0) {
+                totalFee += (amountInTier * tier.rate) / EFFECTIVE_BASIS_POINTS;
+            }
+            if (amount <= tier.ceiling) break;
+            tierFloor = tier.ceiling;
+        }
+        return totalFee;
+    }
+
+   function calculateAmountRiskScaler(uint256 amount) internal view returns (uint256) {
+         if (amount == 0) return 0;
+         uint256 _tokenDecimals = decimals(); 
+         uint256 tierCeiling = 1 * (10**_tokenDecimals);
+         uint256 tierMultiplier = feeParameters.riskScalerTierMultiplier;
+         uint256 maxScalerBps = feeParameters.maxRiskScalerBps;
+         uint256 currentScalerBps = feeParameters.baseRiskScalerBps;
+
+         while (amount > tierCeiling && currentScalerBps < maxScalerBps) {
+             if (tierCeiling > type(uint256).max / tierMultiplier) { 
+                 break;
+             }
+             tierCeiling = tierCeiling * tierMultiplier;
+
+             if (currentScalerBps > type(uint256).max / tierMultiplier) { 
+                 currentScalerBps = maxScalerBps; 
+                 break;
+             }
+             currentScalerBps = currentScalerBps * tierMultiplier;
+         }
+         if (currentScalerBps > maxScalerBps) {
+             currentScalerBps = maxScalerBps;
+         }
+         return currentScalerBps;
+   }
+
+    function applyRiskAdjustments(
+        uint256 baseFeeAmount,
+        address sender,
+        address recipient,
+        uint256 amount 
+    ) internal view returns (uint256 feeAfterRisk) {
+         if (baseFeeAmount == 0) return 0;
+         uint256 riskScoreSender = calculateRiskFactor(sender);
+         uint256 riskScoreRecipient = calculateRiskFactor(recipient);
+         uint256 applicableRiskScore = riskScoreSender > riskScoreRecipient ? riskScoreSender : riskScoreRecipient;
+         uint256 riskDeviation = applicableRiskScore > BASIS_POINTS ? applicableRiskScore - BASIS_POINTS : 0;
+         if (riskDeviation == 0) {
+             return baseFeeAmount;
+         }
+         uint256 amountScalerBps = calculateAmountRiskScaler(amount);
+         uint256 scaledRiskImpactBps = (riskDeviation * amountScalerBps) / BASIS_POINTS;
+         uint256 finalRiskFactorBps = BASIS_POINTS + scaledRiskImpactBps;
+         feeAfterRisk = (baseFeeAmount * finalRiskFactorBps) / BASIS_POINTS;
+         return feeAfterRisk;
+    }
+
+    /**
+     * @dev Reversal and abnormal flag counts after decay: every full `riskDecayPeriod` since the
+     * wallet's last incident (or last booked decay) forgives one of each.
+     */
+    function _decayedRiskCounts(address wallet) internal view returns (uint256 reversalCount, uint256 abnormalTxCount) {
+        WalletRiskProfile storage profile = walletRiskProfiles[wallet];
+        uint256 periods = _elapsedRiskDecayPeriods(wallet);
+        reversalCount = profile.reversalCount > periods ? profile.reversalCount - periods : 0;
+        abnormalTxCount = profile.abnormalTxCount > periods ? profile.abnormalTxCount - periods : 0;
+    }
+
+    /**
+     * @dev Books the decay accrued so far into the profile, keeping any partial period. Called before
+     * a profile changes.
+     */
+    function _settleRiskDecay(address wallet) internal {
+        uint256 periods = _elapsedRiskDecayPeriods(wallet);
+        if (periods > 0) {
+            WalletRiskProfile storage profile = walletRiskProfiles[wallet];
+            (profile.reversalCount, profile.abnormalTxCount) = _decayedRiskCounts(wallet);
+            _riskDecayCheckpoint[wallet] += periods * riskDecayPeriod;
+        }
+    }
+
+    /**
+     * @dev Emits RiskFactorUpdated if the wallet's factor differs from the one last announced. Called
+     * after a profile changes; changes driven only by time (decay, wallet age) surface on the next call.
+     */
+    function _reportRiskFactor(address wallet) internal {
+        uint256 riskFactor = calculateRiskFactor(wallet);
+        if (riskFactor != reportedRiskFactor[wallet]) {
+            reportedRiskFactor[wallet] = riskFactor;
+            emit RiskFactorUpdated(wallet, riskFactor);
+        }
+    }
+
+    function _elapsedRiskDecayPeriods(address wallet) private view returns (uint256) {
+        return riskDecayPeriod == 0 ? 0 : (block.timestamp - _riskDecayCheckpoint[wallet]) / riskDecayPeriod;
+    }
+
+    function _isNewWallet(address wallet) internal view returns (bool) {
+        uint256 creationTime = walletRiskProfiles[wallet].creationTime;
+        return creationTime > 0 && block.timestamp - creationTime < 7 days;
+    }
+
+    /**
+     * @dev The on-chain heuristic factor, blended with the risk oracle's score when an oracle is set
+     * and its score for `wallet` is fresh. A missing, stale, failing or malformed score leaves the
+     * heuristic factor unchanged, so the oracle can never block transfers.
+     */
+    function calculateRiskFactor(address wallet) public view returns (uint256) {
+        uint256 riskFactor = _heuristicRiskFactor(wallet);
+        RiskOracleConfig memory config = riskOracleConfig;
+        if (address(config.oracle) == address(0)) {
+            return riskFactor;
+        }
+        // Low-level call: try/catch cannot catch a return value that fails to decode
+        (bool success, bytes memory result) = address(config.oracle).staticcall{gas: RISK_ORACLE_GAS_LIMIT}(
+            abi.encodeCall(IRiskOracle.getRiskScore, (wallet))
+        );
+        if (!success || result.length < 64) {
+            return riskFactor;
+        }
+        (uint256 score, uint256 updatedAt) = abi.decode(result, (uint256, uint256));
+        if (updatedAt > 0 && updatedAt <= block.timestamp && block.timestamp - updatedAt <= config.maxStaleness) {
+            score = score > MAX_ORACLE_RISK_SCORE ? MAX_ORACLE_RISK_SCORE : score;
+            riskFactor = (riskFactor * (BASIS_POINTS - config.weightBps) + score * config.weightBps) / BASIS_POINTS;
+        }
+        return riskFactor;
+    }
+
+    function _heuristicRiskFactor(address wallet) internal view returns (uint256) {
+          WalletRiskProfile storage profile = walletRiskProfiles[wallet];
+          (uint256 reversalCount, uint256 abnormalTxCount) = _decayedRiskCounts(wallet);
+         uint256 riskFactor = BASIS_POINTS; 
+         if (_isNewWallet(wallet)) {
+             riskFactor += 5000; 
+         }
+         if (profile.lastReversal > 0 && block.timestamp - profile.lastReversal < 30 days) {
+             riskFactor += 10000; 
+         }
+         uint256 maxReversalPenalty = 50000; 
+         uint256 reversalPenalty = reversalCount * 1000; 
+         riskFactor += reversalPenalty > maxReversalPenalty ? maxReversalPenalty : reversalPenalty;
+         uint256 maxAbnormalPenalty = 25000; 
+         uint256 abnormalPenalty = abnormalTxCount * 500; 
+         riskFactor += abnormalPenalty > maxAbnormalPenalty ? maxAbnormalPenalty : abnormalPenalty;
+         uint256 maxDisputePenalty = 25000; 
+         uint256 disputePenalty = profile.disputesLost * 2500; 
+         riskFactor += disputePenalty > maxDisputePenalty ? maxDisputePenalty : disputePenalty;
+         return riskFactor;
+    }
+
+
+    function _calculateTotalFeeAssessed(
+        address sender, 
+        address recipient, 
+        uint256 amountIntendedForRecipient,
+        CustodianRegistry.TransferPolicy memory policy
+    ) internal view returns (uint256) {
+        uint256 baseFee = calculateBaseFeeAmount(amountIntendedForRecipient);
+        uint256 feeAfterRisk = applyRiskAdjustments(baseFee, sender, recipient, amountIntendedForRecipient);
+        feeAfterRisk -= (feeAfterRisk * policy.feeDiscountBps) / BASIS_POINTS;
+        
+        uint256 totalFee = feeAfterRisk; 
+        uint256 maxFeeForTx = (amountIntendedForRecipient * feeParameters.maxFeePercentBps) / BASIS_POINTS;
+        if (totalFee > maxFeeForTx) { totalFee = maxFeeForTx; }
+
+        uint256 minFeeForTx = feeParameters.minFeeWei;
+        if (totalFee > 0 && totalFee < minFeeForTx && amountIntendedForRecipient >= minFeeForTx) {
+             if (minFeeForTx <= maxFeeForTx && minFeeForTx <= amountIntendedForRecipient) {
+                  totalFee = minFeeForTx;
+             }
+        }
+        return totalFee;
+    }
+
+    /**
+     * @dev Part of `totalFee` that `recipient` bears, deducted from the amount it receives.
+     */
+    function _recipientFeeShare(address recipient, uint256 totalFee) internal view returns (uint256) {
+        return (totalFee * recipientFeeShareBps[recipient]) / BASIS_POINTS;
+    }
+
+    function _ensureProfileExistsForWrite(address wallet) internal {
+         if (wallet != address(0) && walletRiskProfiles[wallet].creationTime == 0) {
+             walletRiskProfiles[wallet].creationTime = block.timestamp;
+         }
+    }
+
+    /**
+     * @dev Onboarding hook for every balance movement: the first inbound value (mint, transfer,
+     * refund or seizure alike) stamps the recipient's first-seen time, which starts its new-wallet
+     * window, and the first outbound value stamps the sender's firstOutboundTime.
+     */
+    function _recordWalletActivity(address from, address to) internal {
+        _ensureProfileExistsForWrite(to);
+        if (from != address(0) && firstOutboundTime[from] == 0) {
+            firstOutboundTime[from] = block.timestamp;
+        }
+    }
+
+    /**
+     * @dev Validates and stores the fee tier schedule together with the fee bounds and risk scaler parameters.
+     */
+    function _setFeeSchedule(FeeTier[] memory tiers, FeeParameters memory parameters) internal {
+        require(tiers.length > 0 && tiers.length <= MAX_FEE_TIERS, "Fee: Invalid tier count");
+        delete _feeTiers;
+        for (uint256 i = 0; i < tiers.length; i++) {
+            require(i == 0 || tiers[i].ceiling > tiers[i - 1].ceiling, "Fee: Tier ceilings must increase");
+            require(tiers[i].rate <= MAX_TIER_RATE, "Fee: Tier rate too high");
+            _feeTiers.push(tiers[i]);
+        }
+        require(tiers[tiers.length - 1].ceiling == type(uint256).max, "Fee: Last tier must be uncapped");
+        require(parameters.maxFeePercentBps > 0 && parameters.maxFeePercentBps <= BASIS_POINTS, "Fee: Invalid max fee");
+        require(
+            parameters.baseRiskScalerBps > 0 &&
+            parameters.baseRiskScalerBps <= parameters.maxRiskScalerBps &&
+            parameters.maxRiskScalerBps <= BASIS_POINTS,
+            "Fee: Invalid risk scaler bounds"
+        );
+        require(parameters.riskScalerTierMultiplier > 1, "Fee: Invalid risk scaler multiplier");
+        feeParameters = parameters;
+        emit FeeScheduleUpdated(tiers, parameters);
+    }
+
+    /**
+     * @dev Applies `reversalFeePolicy` once `amount` of a transfer has been returned to its originator.
+     * Refund and clawback are pro rata to the reversed part of the transfer; the penalty is skipped
+     * for returns the recipient agreed to. Only the part of the fee paid in tokens is refunded, each
+     * payer getting back its own part (a sponsor into its deposit), and never more than the treasury holds.
+     */
+    function _settleReversalFees(uint256 transferId, uint256 amount, bool chargePenalty) internal {
+        TransferMetadata storage meta = _transferData[transferId];
+        ReversalFeePolicy memory policy = reversalFeePolicy;
+
+        uint256 feeRefunded;
+        if (policy.feeRefundBps > 0) {
+            uint256 refund = _feeRefund(meta.originatorFeePaid, amount, meta.amount, policy.feeRefundBps);
+            if (refund > 0) {
+                _transfer(treasuryAddress, meta.originator, refund);
+                feeRefunded += refund;
+            }
+            refund = _feeRefund(meta.recipientFeePaid, amount, meta.amount, policy.feeRefundBps);
+            if (refund > 0) {
+                _transfer(treasuryAddress, meta.recipient, refund);
+                feeRefunded += refund;
+            }
+            refund = _feeRefund(meta.sponsorFeePaid, amount, meta.amount, policy.feeRefundBps);
+            if (refund > 0) {
+                sponsorFeeBalances[meta.feeSponsor] += refund;
+                totalPrefundedFees += refund;
+                _transfer(treasuryAddress, PREFUND_ESCROW, refund);
+                feeRefunded += refund;
+            }
+        }
+
+        uint256 creditsClawedBack;
+        if (policy.clawbackCredits) {
+            creditsClawedBack =
+                _clawbackCredits(meta.originator, (meta.senderCredits * amount) / meta.amount) +
+                _clawbackCredits(meta.recipient, (meta.recipientCredits * amount) / meta.amount);
+        }
+
+        uint256 penaltyFee = chargePenalty ? (amount * policy.penaltyFeeBps) / BASIS_POINTS : 0;
+        if (penaltyFee > 0) {
+            _transfer(meta.originator, treasuryAddress, penaltyFee);
+        }
+        emit ReversalSettled(transferId, feeRefunded, creditsClawedBack, penaltyFee);
+    }
+
+    function _feeRefund(uint256 paid, uint256 reversed, uint256 total, uint256 refundBps) private view returns (uint256 refund) {
+        refund = (((paid * reversed) / total) * refundBps) / BASIS_POINTS;
+        uint256 treasuryBalance = balanceOf(treasuryAddress);
+        if (refund > treasuryBalance) {
+            refund = treasuryBalance;
+        }
+    }
+
+    function _clawbackCredits(address wallet, uint256 amount) private returns (uint256 clawedBack) {
+        uint256 available = _availableCredits(wallet);
+        clawedBack = amount < available ? amount : available;
+        _useCredits(wallet, clawedBack);
+    }
+
+    // --- HalfLife Ledger & Compliance ---
+
+    /**
+     * @dev Every balance change (transfers, fees, reversals, pre-funding, minting and burning) is
+     * blocked for frozen wallets. Seizures bypass this by calling ERC20Upgradeable._update directly.
+     */
+    function _update(address from, address to, uint256 value) internal virtual override {
+        require(!frozenWallets[from], "Compliance: Sender frozen");
+        require(!frozenWallets[to], "Compliance: Recipient frozen");
+        if (value > 0) {
+            _recordWalletActivity(from, to);
+        }
+        super._update(from, to, value);
+    }
+
+    /**
+     * @dev Sums the incoming transfers of `wallet` that are still inside their commit window.
+     * Funds that originated from `exemptOriginator` are not counted, so they can always be sent back to it.
+     * Exact but unbounded, so only used by views; the transfer path works off the running totals.
+     */
+    function _lockedBalance(address wallet, address exemptOriginator) internal view returns (uint256 locked) {
+        uint256[] storage pending = _pendingIncoming[wallet];
+        for (uint256 i = 0; i < pending.length; i++) {
+            TransferMetadata storage meta = _transferData[pending[i]];
+            if (meta.commitWindowEnd > block.timestamp && meta.originator != exemptOriginator) {
+                locked += _incomingLock[pending[i]];
+            }
+        }
+    }
+
+    /**
+     * @dev Locks a newly recorded transfer for its recipient until its commit window ends.
+     */
+    function _lockIncoming(uint256 transferId, address recipient, address originator, uint256 amount) internal {
+        _pendingIncoming[recipient].push(transferId);
+        _incomingLock[transferId] = amount;
+        _lockedIncoming[recipient] += amount;
+        _lockedIncomingFrom[recipient][originator] += amount;
+    }
+
+    /**
+     * @dev Takes `amount` of a transfer out of its recipient's locked totals, when it is reversed or
+     * its commit window has ended. The transfer record must still exist.
+     */
+    function _unlockIncoming(uint256 transferId, uint256 amount) internal {
+        if (amount == 0) {
+            return;
+        }
+        TransferMetadata storage meta = _transferData[transferId];
+        _incomingLock[transferId] -= amount;
+        _lockedIncoming[meta.recipient] -= amount;
+        _lockedIncomingFrom[meta.recipient][meta.originator] -= amount;
+    }
+
+    /**
+     * @dev Scans up to `maxScanned` pending incoming transfers of `wallet`, resuming where the previous
+     * scan stopped, and unlocks and drops those whose commit window has ended (swap and pop).
+     */
+    function _releaseExpiredLocks(address wallet, uint256 maxScanned) internal returns (uint256 released) {
+        uint256[] storage pending = _pendingIncoming[wallet];
+        uint256 i = _pendingIncomingCursor[wallet];
+        for (uint256 scanned = 0; scanned < maxScanned && pending.length > 0; scanned++) {
+            if (i >= pending.length) {
+                i = 0;
+            }
+            uint256 transferId = pending[i];
+            // Records deleted by checkHalfLifeExpiry were unlocked there and read as expired here
+            if (_transferData[transferId].commitWindowEnd <= block.timestamp) {
+                _unlockIncoming(transferId, _incomingLock[transferId]);
+                pending[i] = pending[pending.length - 1];
+                pending.pop();
+                released++;
+            } else {
+                i++;
+            }
+        }
+        _pendingIncomingCursor[wallet] = i;
+    }
+
+    /**
+     * @dev Reverts if moving `amount` out of `wallet` would dip into funds still inside a commit window.
+     * Locks whose window has ended are only released when they are in the way, a bounded number per call.
+     */
+    function _requireSpendable(address wallet, address counterparty, uint256 amount) internal {
+        if (_fitsSpendable(wallet, counterparty, amount)) {
+            return;
+        }
+        _releaseExpiredLocks(wallet, LOCK_RELEASE_SCAN_LIMIT);
+        require(_fitsSpendable(wallet, counterparty, amount), "HalfLife: Amount exceeds spendable balance");
+    }
+
+    function _fitsSpendable(address wallet, address counterparty, uint256 amount) private view returns (bool) {
+        uint256 balance = balanceOf(wallet);
+        uint256 locked = _lockedIncoming[wallet] - _lockedIncomingFrom[wallet][counterparty];
+        return balance >= locked && balance - locked >= amount;
+    }
+
+    /**
+     * @dev Checks the parties of a transfer against the CustodianRegistry according to `kycPolicy`.
+     * Pass address(0) as `sender` for mints, where only the recipient is checked.
+     */
+    function _enforceKYC(address sender, address recipient) internal view {
+        if (kycPolicy == KYCPolicy.Off) {
+            return;
+        }
+        if (kycPolicy == KYCPolicy.BothParties && sender != address(0)) {
+            require(custodianRegistry.isKYCValid(sender), "KYC: Sender not valid");
+        }
+        require(custodianRegistry.isKYCValid(recipient), "KYC: Recipient not valid");
+    }
+
+    /**
+     * @dev Takes `amount` out of `wallet`'s pre-funded balance and pays it from the escrow to `to`.
+     */
+    function _releasePrefund(address wallet, uint256 amount, address to) internal {
+        prefundedFeeBalances[wallet] -= amount;
+        totalPrefundedFees -= amount;
+        _transfer(PREFUND_ESCROW, to, amount);
+    }
+
+    // --- Fee Sponsorship ---
+
+    /**
+     * @dev Sponsor paying `wallet`'s fees and how much it still covers, limited by the sponsor's
+     * deposited funds. A direct sponsorship comes first; once it covers nothing more (cap used up,
+     * funds withdrawn or sponsor frozen) the wallet's custodian takes over, if it sponsors the wallets
+     * it custodies.
+     */
+    function _feeSponsorOf(address wallet) internal view returns (address sponsor, uint256 available, bool viaCustodian) {
+        FeeSponsorship storage direct = feeSponsorships[wallet];
+        sponsor = direct.sponsor;
+        available = _sponsorFundsFor(sponsor, direct.remaining);
+        if (available == 0 && address(custodianRegistry) != address(0)) {
+            sponsor = custodianRegistry.getCustodian(wallet);
+            uint256 cap = custodianSponsorshipCaps[sponsor];
+            uint256 used = custodianSponsoredFees[sponsor][wallet];
+            available = _sponsorFundsFor(sponsor, cap > used ? cap - used : 0);
+            viaCustodian = true;
+        }
+    }
+
+    /**
+     * @dev Part of `allowance` a sponsor can actually pay; nothing while the sponsor is frozen.
+     */
+    function _sponsorFundsFor(address sponsor, uint256 allowance) internal view returns (uint256) {
+        if (frozenWallets[sponsor]) {
+            return 0;
+        }
+        uint256 funds = sponsorFeeBalances[sponsor];
+        return funds < allowance ? funds : allowance;
+    }
+
+    /**
+     * @dev Pays as much of `fee` as `wallet`'s sponsor covers from the escrow to the treasury.
+     */
+    function _chargeSponsor(address wallet, uint256 fee) internal returns (address sponsor, uint256 charged) {
+        uint256 available;
+        bool viaCustodian;
+        (sponsor, available, viaCustodian) = _feeSponsorOf(wallet);
+        charged = fee < available ? fee : available;
+        if (charged == 0) {
+            return (address(0), 0);
+        }
+        if (viaCustodian) {
+            custodianSponsoredFees[sponsor][wallet] += charged;
+        } else {
+            feeSponsorships[wallet].remaining -= charged;
+        }
+        sponsorFeeBalances[sponsor] -= charged;
+        totalPrefundedFees -= charged;
+        _transfer(PREFUND_ESCROW, treasuryAddress, charged);
+        emit SponsoredFeeUsed(sponsor, wallet, charged);
+    }
+
+    // --- Incentive Credit Decay ---
+
+    /**
+     * @dev Credits `wallet` can use right now. The stored balance keeps its full value for
+     * `creditDecayPolicy.delay` after it was earned and then decays linearly to zero over
+     * `creditDecayPolicy.period`.
+     */
+    function _availableCredits(address wallet) internal view returns (uint256) {
+        IncentiveCredits storage credits = incentiveCredits[wallet];
+        CreditDecayPolicy memory policy = creditDecayPolicy;
+        uint256 idle = block.timestamp - credits.lastUpdated;
+        if (policy.period == 0 || idle <= policy.delay) {
+            return credits.amount;
+        }
+        uint256 decaying = idle - policy.delay;
+        if (decaying >= policy.period) {
+            return 0;
+        }
+        return (credits.amount * (policy.period - decaying)) / policy.period;
+    }
+
+    /**
+     * @dev Takes `amount` (at most the available credits) out of `wallet`'s balance. The stored balance
+     * shrinks by the share `amount` is of the available credits, so the rest keeps decaying on the same
+     * clock; the decayed part of that share is booked with IncentiveCreditsDecayed.
+     */
+    function _useCredits(address wallet, uint256 amount) internal {
+        IncentiveCredits storage credits = incentiveCredits[wallet];
+        uint256 available = _availableCredits(wallet);
+        uint256 stored = credits.amount;
+        uint256 removed = amount == available ? stored : (stored * amount) / available;
+        credits.amount = stored - removed;
+        if (removed > amount) {
+            emit IncentiveCreditsDecayed(wallet, removed - amount);
+        }
+    }
+
+    /**
+     * @dev New credits move the decay clock only by their share of the balance, so earning credits
+     * does not restart the decay of the ones already held.
+     */
+    function _addCredits(address wallet, uint256 amount) internal {
+        IncentiveCredits storage credits = incentiveCredits[wallet];
+        if (credits.amount > 0 && _availableCredits(wallet) == 0) {
+            _useCredits(wallet, 0);
+        }
+        uint256 stored = credits.amount;
+        credits.lastUpdated = (stored * credits.lastUpdated + amount * block.timestamp) / (stored + amount);
+        credits.amount = stored + amount;
+    }
+
+    /**
+     * @dev Custodian policy overrides for a transfer, or all zeros (token defaults) when no registry is set.
+     */
+    function _transferPolicy(address sender, address recipient) internal view returns (CustodianRegistry.TransferPolicy memory policy) {
+        if (address(custodianRegistry) != address(0)) {
+            policy = custodianRegistry.getTransferPolicy(sender, recipient);
+        }
+    }
+
+    /**
+     * @dev True if `account` is registered as the custodian of `wallet` in the CustodianRegistry.
+     */
+    function _isCustodianOf(address account, address wallet) internal view returns (bool) {
+        return address(custodianRegistry) != address(0) && account == custodianRegistry.getCustodian(wallet);
+    }
+
+    // --- Interbank Clearing ---
+
+    /**
+     * @dev Accrues a liability from the custodian of `from` to the custodian of `to` when T3 moves
+     * between wallets custodied by different FIs. Does nothing if either wallet is not custodied.
+     */
+    function _accrueInterbankLiability(address from, address to, uint256 amount) internal {
+        if (address(custodianRegistry) == address(0)) return;
+        address debtor = custodianRegistry.getCustodian(from);
+        address creditor = custodianRegistry.getCustodian(to);
+        if (debtor != address(0) && creditor != address(0) && debtor != creditor) {
+            _recordInterbankLiability(debtor, creditor, amount);
+        }
+    }
+
+    /**
+     * @dev All liability changes go through this function and {_clearInterbankLiability} so the
+     * counterparty sets and gross totals stay in step with `interbankLiability`.
+     */
+    function _recordInterbankLiability(address debtor, address creditor, uint256 amount) internal {
+        interbankLiability[debtor][creditor] += amount;
+        interbankPayable[debtor] += amount;
+        interbankReceivable[creditor] += amount;
+        totalInterbankLiability += amount;
+        _interbankCreditors[debtor].add(creditor);
+        _interbankDebtors[creditor].add(debtor);
+        _interbankParticipants.add(debtor);
+        _interbankParticipants.add(creditor);
+        emit InterbankLiabilityRecorded(debtor, creditor, amount);
+    }
+
+    function _clearInterbankLiability(address debtor, address creditor, uint256 amount) internal {
+        uint256 remaining = interbankLiability[debtor][creditor] - amount;
+        interbankLiability[debtor][creditor] = remaining;
+        interbankPayable[debtor] -= amount;
+        interbankReceivable[creditor] -= amount;
+        totalInterbankLiability -= amount;
+        if (remaining == 0) {
+            _interbankCreditors[debtor].remove(creditor);
+            _interbankDebtors[creditor].remove(debtor);
+            _pruneInterbankParticipant(debtor);
+            _pruneInterbankParticipant(creditor);
+        }
+        emit InterbankLiabilityCleared(debtor, creditor, amount);
+    }
+
+    function _pruneInterbankParticipant(address fi) private {
+        if (_interbankCreditors[fi].length() == 0 && _interbankDebtors[fi].length() == 0) {
+            _interbankParticipants.remove(fi);
+        }
+    }
+
+    // --- Velocity Limits ---
+
+    /**
+     * @dev Daily limit on what `wallet` may send: its own override if set, otherwise the tightest of
+     * the tiers that apply to it. type(uint256).max when nothing limits the wallet.
+     */
+    function _walletVelocityLimit(address wallet) internal view returns (uint256 limit) {
+        limit = walletVelocityLimits[wallet];
+        if (limit > 0) return limit;
+
+        VelocityLimits memory limits = velocityLimits;
+        limit = type(uint256).max;
+        if (_isNewWallet(wallet)) {
+            limit = _tighterLimit(limit, limits.newWalletDailyLimit);
+        }
+        bool kycValid = address(custodianRegistry) != address(0) && custodianRegistry.isKYCValid(wallet);
+        limit = _tighterLimit(limit, kycValid ? limits.verifiedDailyLimit : limits.unverifiedDailyLimit);
+        if (limits.highRiskThreshold > 0 && calculateRiskFactor(wallet) >= limits.highRiskThreshold) {
+            limit = _tighterLimit(limit, limits.highRiskDailyLimit);
+        }
+    }
+
+    /**
+     * @dev Counts `amount` against the sender's daily limit and its custodian's, reverting past either.
+     * Windows are only tracked while a limit applies.
+     */
+    function _useVelocityAllowance(address sender, uint256 amount) internal {
+        uint256 limit = _walletVelocityLimit(sender);
+        if (limit != type(uint256).max) {
+            require(_useWindow(_walletVelocity[sender], amount) <= limit, "Velocity: Wallet daily limit exceeded");
+        }
+        if (address(custodianRegistry) != address(0)) {
+            address custodian = custodianRegistry.getCustodian(sender);
+            uint256 custodianLimit = custodianVelocityLimits[custodian];
+            if (custodian != address(0) && custodianLimit > 0) {
+                require(_useWindow(_custodianVelocity[custodian], amount) <= custodianLimit, "Velocity: Custodian daily limit exceeded");
+            }
+        }
+    }
+
+    /**
+     * @dev What is left of `limit` in `window` as of now.
+     */
+    function _remainingVelocity(VelocityWindow storage window, uint256 limit) internal view returns (uint256) {
+        if (limit == type(uint256).max || block.timestamp >= window.windowStart + 1 days) return limit;
+        return window.used >= limit ? 0 : limit - window.used;
+    }
+
+    function _useWindow(VelocityWindow storage window, uint256 amount) private returns (uint256) {
+        if (block.timestamp >= window.windowStart + 1 days) {
+            window.windowStart = block.timestamp;
+            window.used = 0;
+        }
+        window.used += amount;
+        return window.used;
+    }
+
+    function _tighterLimit(uint256 limit, uint256 tierLimit) private pure returns (uint256) {
+        return tierLimit > 0 && tierLimit < limit ? tierLimit : limit;
+    }
+
+    // --- Transfer Execution ---
+    // Shared by the single transfers in T3Token and the batch transfers in T3TokenBatchExtension.
+
+    /**
+     * @dev Collects the sender's fee (`senderFee`) from sponsor, prefund, credits and balance, then pays
+     * the recipient `amountIntendedForRecipient` minus the fee share it bears (`feePaidByRecipient`).
+     */
+    function _handleFeePaymentAndTransfers(
+        address sender,
+        address recipient,
+        uint256 amountIntendedForRecipient,
+        uint256 senderFee,
+        uint256 feePaidByRecipient
+    ) internal returns (FeePayment memory payment) {
+        uint256 remainingFeeToCover = senderFee;
+
+        if (remainingFeeToCover > 0) {
+            (payment.sponsor, payment.fromSponsor) = _chargeSponsor(sender, remainingFeeToCover);
+            remainingFeeToCover -= payment.fromSponsor;
+        }
+
+        if (remainingFeeToCover > 0 && prefundedFeeBalances[sender] > 0) {
+            uint256 takeFromPrefund = (remainingFeeToCover < prefundedFeeBalances[sender]) ? remainingFeeToCover : prefundedFeeBalances[sender];
+            _releasePrefund(sender, takeFromPrefund, treasuryAddress);
+            payment.fromPrefund = takeFromPrefund;
+            remainingFeeToCover -= takeFromPrefund;
+            if (takeFromPrefund > 0) emit PrefundedFeeUsed(sender, takeFromPrefund);
+        }
+
+        if (remainingFeeToCover > 0) {
+            (uint256 feeAfterCreditsApplied, uint256 creditsApplied) = applyCredits(sender, remainingFeeToCover);
+            payment.fromCredits = creditsApplied;
+            payment.fromBalance = feeAfterCreditsApplied; 
+            if (creditsApplied > 0) emit IncentiveCreditUsed(sender, creditsApplied);
+        }
+
+        uint256 feePaidFromBalance = payment.fromBalance;
+        uint256 totalCostToSenderFromBalance = amountIntendedForRecipient + feePaidFromBalance;
+        uint256 senderCurrentBalance = balanceOf(sender); 
+        if (senderCurrentBalance < totalCostToSenderFromBalance) {
+            revert ERC20InsufficientBalance(sender, senderCurrentBalance, totalCostToSenderFromBalance);
+        }
+        _requireSpendable(sender, recipient, totalCostToSenderFromBalance);
+
+        if (feePaidFromBalance + feePaidByRecipient > 0) {
+            _transfer(sender, treasuryAddress, feePaidFromBalance + feePaidByRecipient);
+        }
+
+        if (amountIntendedForRecipient > feePaidByRecipient) { 
+            _transfer(sender, recipient, amountIntendedForRecipient - feePaidByRecipient);
+        }
+    }
+
+    /**
+     * @dev Books on a transfer record who paid its sender fee `senderFee` in tokens, as that fee's
+     * share of `payment`, which covered `paymentTotal` (a whole batch for batch items).
+     */
+    function _recordFeePayment(uint256 transferId, FeePayment memory payment, uint256 senderFee, uint256 paymentTotal) internal {
+        if (senderFee == 0) {
+            return;
+        }
+        TransferMetadata storage meta = _transferData[transferId];
+        meta.originatorFeePaid = ((payment.fromPrefund + payment.fromBalance) * senderFee) / paymentTotal;
+        if (payment.fromSponsor > 0) {
+            meta.feeSponsor = payment.sponsor;
+            meta.sponsorFeePaid = (payment.fromSponsor * senderFee) / paymentTotal;
+        }
+    }
+    
+    function _updatePostTransferMetadata(
+        address sender,
+        address recipient,
+        uint256 amountIntendedForRecipient,
+        uint256 finalTotalFeeAssessed,
+        uint256 feePaidByRecipient,
+        CustodianRegistry.TransferPolicy memory policy
+    ) internal returns (uint256 transferId) {
+        transactionCountBetween[sender][recipient]++; 
+        uint256 adaptiveHalfLife = calculateAdaptiveHalfLife(sender, recipient, amountIntendedForRecipient, policy);
+
+        transferId = ++lastTransferId;
+        uint256 commitWindowEnd = block.timestamp + adaptiveHalfLife;
+        // Fields filled in later (credits, fee payers, reversals) start at zero on a fresh ID
+        TransferMetadata storage meta = _transferData[transferId];
+        meta.commitWindowEnd = commitWindowEnd;
+        meta.halfLifeDuration = adaptiveHalfLife;
+        meta.originator = sender;
+        meta.recipient = recipient;
+        meta.amount = amountIntendedForRecipient;
+        meta.totalFeeAssessed = finalTotalFeeAssessed;
+        meta.recipientFeePaid = feePaidByRecipient;
+        latestTransferId[recipient] = transferId;
+        _lockIncoming(transferId, recipient, sender, amountIntendedForRecipient);
+        updateRollingAverage(recipient, amountIntendedForRecipient);
+        _accrueInterbankLiability(sender, recipient, amountIntendedForRecipient);
+        emit TransferRecorded(transferId, sender, recipient, amountIntendedForRecipient, commitWindowEnd);
+    }
+
+    /**
+     * @dev Grants both parties of a recorded transfer their incentive credit share of its fee and keeps
+     * the amounts on the record, so a reversal can claw back exactly what was granted.
+     */
+    function processFee(uint256 transferId, CustodianRegistry.TransferPolicy memory policy) internal {
+        TransferMetadata storage meta = _transferData[transferId];
+        uint256 totalFeeAssessedForCreditAllocation = meta.totalFeeAssessed;
+        if (totalFeeAssessedForCreditAllocation == 0) {
+            return;
+        }
+        uint256 senderShareBps = policy.senderCreditShareBps > 0 ? policy.senderCreditShareBps : DEFAULT_CREDIT_SHARE_BPS;
+        uint256 recipientShareBps = policy.recipientCreditShareBps > 0 ? policy.recipientCreditShareBps : DEFAULT_CREDIT_SHARE_BPS;
+        uint256 senderCreditShare = (totalFeeAssessedForCreditAllocation * senderShareBps) / BASIS_POINTS; 
+        uint256 recipientCreditShare = (totalFeeAssessedForCreditAllocation * recipientShareBps) / BASIS_POINTS; 
+
+        if (senderCreditShare > 0) {
+            _addCredits(meta.originator, senderCreditShare);
+        }
+        if (recipientCreditShare > 0) {
+            _addCredits(meta.recipient, recipientCreditShare);
+        }
+        meta.senderCredits = senderCreditShare;
+        meta.recipientCredits = recipientCreditShare;
+    }
+
+     function applyCredits(address wallet, uint256 feeToCover) internal returns (uint256 remainingFeeAfterCredits, uint256 creditsActuallyUsed) {
+          IncentiveCredits storage credits = incentiveCredits[wallet];
+          if (credits.amount == 0 || feeToCover == 0) {
+              return (feeToCover, 0);
+          }
+          uint256 available = _availableCredits(wallet);
+          if (available >= feeToCover) {
+              creditsActuallyUsed = feeToCover;
+              _useCredits(wallet, feeToCover);
+              remainingFeeAfterCredits = 0;
+              return (remainingFeeAfterCredits, creditsActuallyUsed);
+          } else { 
+              creditsActuallyUsed = available;
+              remainingFeeAfterCredits = feeToCover - available; 
+              _useCredits(wallet, available);
+              return (remainingFeeAfterCredits, creditsActuallyUsed);
+          }
+     }
+
+    function calculateAdaptiveHalfLife(
+        address sender,
+        address recipient,
+        uint256 amount,
+        CustodianRegistry.TransferPolicy memory policy
+    ) internal view returns (uint256) {
+         uint256 currentHalfLife = halfLifeDuration; 
+         uint256 txCount = transactionCountBetween[sender][recipient];
+         if (txCount > 0) {
+             uint256 reductionPercent = (txCount * 10 > 90) ? 90 : txCount * 10;
+             currentHalfLife = currentHalfLife * (100 - reductionPercent) / 100;
+         }
+         RollingAverage storage avg = rollingAverages[sender];
+         if (avg.count > 0 && avg.totalAmount > 0) { 
+             uint256 avgAmount = avg.totalAmount / avg.count;
+             if (amount > avgAmount * 10) { 
+                 uint256 doubledDuration = currentHalfLife * 2;
+                 if (currentHalfLife <= type(uint256).max / 2) {
+                    currentHalfLife = doubledDuration;
+                 } else {
+                    currentHalfLife = type(uint256).max; 
+                 }
+             }
+         }
+         // Custodian policies may override the global bounds
+         uint256 minDuration = policy.minHalfLifeDuration > 0 ? policy.minHalfLifeDuration : minHalfLifeDuration;
+         uint256 maxDuration = policy.maxHalfLifeDuration > 0 ? policy.maxHalfLifeDuration : maxHalfLifeDuration;
+         if (currentHalfLife < minDuration) { currentHalfLife = minDuration; }
+         else if (currentHalfLife > maxDuration) { currentHalfLife = maxDuration; }
+         return currentHalfLife;
+    }
+
+    function updateRollingAverage(address wallet, uint256 amount) internal {
+         RollingAverage storage avg = rollingAverages[wallet];
+         if (avg.lastUpdated > 0 && block.timestamp - avg.lastUpdated > inactivityResetPeriod) {
+             avg.totalAmount = 0;
+             avg.count = 0;
+         }
+         avg.totalAmount += amount;
+         avg.count++;
+         avg.lastUpdated = block.timestamp;
+    }
+}
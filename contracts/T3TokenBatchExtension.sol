@@ -0,0 +1,130 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./T3TokenBase.sol";
+
+/**
+ * @title T3TokenBatchExtension
+ * @dev Batch transfers of the T3 token. Never used on its own: T3Token delegates the selectors routed
+ * to this contract here, so all state read and written here is the token proxy's.
+ */
+contract T3TokenBatchExtension is T3TokenBase {
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address trustedForwarder_) T3TokenBase(trustedForwarder_) {
+        _disableInitializers();
+    }
+
+    // --- Batch Transfers ---
+
+    /**
+     * @dev Pays many recipients in one call, e.g. a payroll run. Every item gets the regular fee, credit
+     * and HalfLife treatment and its own ledger record, and pays its fee as it runs; the items' incentive
+     * credits are granted only once all items have run, so the batch cannot pay its fees with credits it
+     * earns itself. With `atomic` any failing item reverts the whole batch, otherwise failing items,
+     * including those whose fee the sender can no longer cover, are skipped and reported through
+     * BatchTransferItemFailed.
+     */
+    function batchTransfer(
+        address[] calldata recipients,
+        uint256[] calldata amounts,
+        bool atomic
+    ) external whenNotPaused nonReentrant returns (uint256 successCount) {
+        require(recipients.length > 0, "Batch: No recipients");
+        require(recipients.length == amounts.length, "Batch: Length mismatch");
+        address sender = _msgSender();
+
+        uint256 totalAmount;
+        FeePayment memory totalPayment;
+        uint256[] memory transferIds = new uint256[](recipients.length);
+        for (uint256 i = 0; i < recipients.length; i++) {
+            // Self-call so a failing item can be rolled back on its own in best-effort mode
+            try this.executeBatchItem(sender, recipients[i], amounts[i]) returns (uint256 transferId, FeePayment memory payment) {
+                successCount++;
+                transferIds[i] = transferId;
+                totalAmount += amounts[i];
+                emit BatchTransferItem(sender, i, recipients[i], amounts[i], _addFeePayment(totalPayment, payment), transferId);
+            } catch (bytes memory reason) {
+                if (atomic) {
+                    assembly {
+                        revert(add(reason, 32), mload(reason))
+                    }
+                }
+                emit BatchTransferItemFailed(sender, i, recipients[i], amounts[i], reason);
+            }
+        }
+
+        _grantBatchCredits(sender, recipients, transferIds);
+        emit BatchTransferCompleted(
+            sender,
+            recipients.length,
+            successCount,
+            totalAmount,
+            totalPayment.fromSponsor + totalPayment.fromPrefund + totalPayment.fromCredits + totalPayment.fromBalance,
+            // Sponsored fees count as pre-funded, as in TransferWithFee
+            totalPayment.fromSponsor + totalPayment.fromPrefund,
+            totalPayment.fromCredits,
+            totalPayment.fromBalance
+        );
+    }
+
+    /**
+     * @dev One item of {batchTransfer}: moves the amount, collects the sender's part of the fee
+     * (returned as how it was paid) and records the transfer, leaving the credits to be granted by
+     * the batch. Reverts like a regular transfer when the sender cannot cover the item.
+     * Only callable by this contract.
+     */
+    function executeBatchItem(
+        address sender,
+        address recipient,
+        uint256 amountIntendedForRecipient
+    ) external returns (uint256 transferId, FeePayment memory payment) {
+        require(msg.sender == address(this), "Batch: Caller is not the token");
+        require(recipient != address(0), "Transfer to zero address");
+        require(recipient != PREFUND_ESCROW, "Transfer to prefund escrow");
+        require(amountIntendedForRecipient > 0, "Transfer amount must be greater than zero");
+        _enforceKYC(sender, recipient);
+        _useVelocityAllowance(sender, amountIntendedForRecipient);
+        CustodianRegistry.TransferPolicy memory policy = _transferPolicy(sender, recipient);
+
+        uint256 totalFeeAssessed = _calculateTotalFeeAssessed(sender, recipient, amountIntendedForRecipient, policy);
+        uint256 feePaidByRecipient = _recipientFeeShare(recipient, totalFeeAssessed);
+        uint256 senderFee = totalFeeAssessed - feePaidByRecipient;
+        payment = _handleFeePaymentAndTransfers(sender, recipient, amountIntendedForRecipient, senderFee, feePaidByRecipient);
+        transferId = _updatePostTransferMetadata(
+            sender,
+            recipient,
+            amountIntendedForRecipient - feePaidByRecipient,
+            totalFeeAssessed,
+            feePaidByRecipient,
+            policy
+        );
+        _recordFeePayment(transferId, payment, senderFee, senderFee);
+    }
+
+    /**
+     * @dev Adds an item's fee payment to the batch totals and returns the item's fee.
+     */
+    function _addFeePayment(FeePayment memory total, FeePayment memory payment) private pure returns (uint256 fee) {
+        total.fromSponsor += payment.fromSponsor;
+        total.fromPrefund += payment.fromPrefund;
+        total.fromCredits += payment.fromCredits;
+        total.fromBalance += payment.fromBalance;
+        return payment.fromSponsor + payment.fromPrefund + payment.fromCredits + payment.fromBalance;
+    }
+
+    /**
+     * @dev Grants the incentive credits of every item that went through.
+     */
+    function _grantBatchCredits(
+        address sender,
+        address[] calldata recipients,
+        uint256[] memory transferIds
+    ) private {
+        for (uint256 i = 0; i < transferIds.length; i++) {
+            if (transferIds[i] > 0) {
+                processFee(transferIds[i], _transferPolicy(sender, recipients[i]));
+            }
+        }
+    }
+}
@@ -0,0 +1,150 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./T3TokenBase.sol";
+
+/**
+ * @title T3TokenClearingExtension
+ * @dev Interbank liabilities between the FIs in the CustodianRegistry: manual adjustments, multilateral
+ * netting, settlement and reconciliation views. Liabilities accrue in T3Token and T3TokenExtension
+ * through T3TokenBase. Never used on its own: T3Token delegates the selectors routed to this
+ * contract here, so all state read and written here is the token proxy's.
+ */
+contract T3TokenClearingExtension is T3TokenBase {
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address trustedForwarder_) T3TokenBase(trustedForwarder_) {
+        _disableInitializers();
+    }
+
+    // --- Interbank Liability Functions ---
+    // Liabilities accrue automatically when T3 moves between wallets custodied by different FIs;
+    // the admin functions below remain for manual adjustments.
+     function recordInterbankLiability(address debtor, address creditor, uint256 amount) external onlyRole(ADMIN_ROLE) {
+         require(debtor != address(0), "Debtor cannot be zero address");
+         require(creditor != address(0), "Creditor cannot be zero address");
+         require(debtor != creditor, "Debtor cannot be creditor");
+         require(amount > 0, "Amount must be positive");
+         _recordInterbankLiability(debtor, creditor, amount);
+      }
+      function clearInterbankLiability(address debtor, address creditor, uint256 amountToClear) external onlyRole(ADMIN_ROLE) {
+         require(debtor != address(0), "Debtor cannot be zero address");
+         require(creditor != address(0), "Creditor cannot be zero address");
+         require(debtor != creditor, "Debtor cannot be creditor");
+         require(amountToClear > 0, "Amount to clear must be positive");
+         require(amountToClear <= interbankLiability[debtor][creditor], "Amount to clear exceeds outstanding liability");
+         _clearInterbankLiability(debtor, creditor, amountToClear);
+      }
+
+    /**
+     * @dev Multilateral netting: replaces every outstanding liability between participating FIs with
+     * the obligations implied by their net positions, pairing net debtors with net creditors so that
+     * at most one fewer liability than there are participants remains. Net positions are unchanged.
+     * FIs left with a flat position drop out of the participant set.
+     */
+    function runNettingCycle() external onlyRole(ADMIN_ROLE) returns (uint256 grossAmount, uint256 netAmount) {
+        address[] memory participants = _interbankParticipants.values();
+        uint256 count = participants.length;
+        int256[] memory netPositions = new int256[](count);
+
+        for (uint256 i = 0; i < count; i++) {
+            netPositions[i] = _netPosition(participants[i]);
+        }
+        for (uint256 i = 0; i < count; i++) {
+            address[] memory creditors = _interbankCreditors[participants[i]].values();
+            for (uint256 j = 0; j < creditors.length; j++) {
+                uint256 amount = interbankLiability[participants[i]][creditors[j]];
+                grossAmount += amount;
+                _clearInterbankLiability(participants[i], creditors[j], amount);
+            }
+        }
+
+        uint256 debtorIndex;
+        uint256 creditorIndex;
+        while (true) {
+            while (debtorIndex < count && netPositions[debtorIndex] >= 0) debtorIndex++;
+            while (creditorIndex < count && netPositions[creditorIndex] <= 0) creditorIndex++;
+            if (debtorIndex == count || creditorIndex == count) break;
+
+            uint256 owed = uint256(-netPositions[debtorIndex]);
+            uint256 due = uint256(netPositions[creditorIndex]);
+            uint256 amount = owed < due ? owed : due;
+            _recordInterbankLiability(participants[debtorIndex], participants[creditorIndex], amount);
+            netPositions[debtorIndex] += int256(amount);
+            netPositions[creditorIndex] -= int256(amount);
+            netAmount += amount;
+        }
+        emit InterbankNettingCompleted(count, grossAmount, netAmount);
+    }
+
+    /**
+     * @dev Settles `amount` of what the caller owes `creditor`: moves the T3 from the caller's balance
+     * to the creditor, without transfer fees, and clears the liability in the same transaction.
+     */
+    function settleInterbankLiability(address creditor, uint256 amount) external whenNotPaused nonReentrant {
+        address debtor = _msgSender();
+        require(amount > 0, "Settlement: Amount must be positive");
+        require(amount <= interbankLiability[debtor][creditor], "Settlement: Amount exceeds outstanding liability");
+        _requireSpendable(debtor, creditor, amount);
+
+        _clearInterbankLiability(debtor, creditor, amount);
+        _transfer(debtor, creditor, amount);
+        emit InterbankLiabilitySettled(debtor, creditor, amount);
+    }
+
+    // --- Interbank Reconciliation Views ---
+
+    function getInterbankParticipants() external view returns (address[] memory) {
+        return _interbankParticipants.values();
+    }
+
+    /**
+     * @dev The FIs `fi` currently owes (`creditors`) and those that currently owe it (`debtors`).
+     */
+    function getInterbankCounterparties(address fi) external view returns (address[] memory creditors, address[] memory debtors) {
+        return (_interbankCreditors[fi].values(), _interbankDebtors[fi].values());
+    }
+
+    /**
+     * @dev What other participants owe `fi` minus what `fi` owes them; negative for a net debtor.
+     */
+    function getInterbankNetPosition(address fi) external view returns (int256) {
+        return _netPosition(fi);
+    }
+
+    /**
+     * @dev Page of outstanding liabilities, ordered by debtor (in participant order) and then creditor.
+     * `total` is the number of outstanding liabilities across all pages.
+     */
+    function getLiabilities(uint256 offset, uint256 limit)
+        external
+        view
+        returns (InterbankLiabilityEntry[] memory entries, uint256 total)
+    {
+        uint256 participantCount = _interbankParticipants.length();
+        for (uint256 i = 0; i < participantCount; i++) {
+            total += _interbankCreditors[_interbankParticipants.at(i)].length();
+        }
+        if (offset >= total) return (entries, total);
+        uint256 end = limit > total - offset ? total : offset + limit;
+        entries = new InterbankLiabilityEntry[](end - offset);
+
+        uint256 index;
+        for (uint256 i = 0; i < participantCount && index < end; i++) {
+            address debtor = _interbankParticipants.at(i);
+            uint256 creditorCount = _interbankCreditors[debtor].length();
+            for (uint256 j = 0; j < creditorCount && index < end; j++) {
+                if (index >= offset) {
+                    address creditor = _interbankCreditors[debtor].at(j);
+                    entries[index - offset] = InterbankLiabilityEntry(debtor, creditor, interbankLiability[debtor][creditor]);
+                }
+                index++;
+            }
+        }
+    }
+
+    function _netPosition(address fi) private view returns (int256) {
+        return int256(interbankReceivable[fi]) - int256(interbankPayable[fi]);
+    }
+}
@@ -0,0 +1,389 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20PermitUpgradeable.sol";
+import "./T3TokenBase.sol";
+
+
+/**
+ * @title T3TokenExtension
+ * @dev Fee pre-funding and sponsorship, reversal, return, dispute, HalfLife expiry and EIP-2612 permit functions
+ * of the T3 token. Never used on its own:
+ * T3Token delegates the selectors routed to this contract here, so all state read
+ * and written here is the token proxy's.
+ */
+contract T3TokenExtension is ERC20PermitUpgradeable, T3TokenBase {
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address trustedForwarder_) T3TokenBase(trustedForwarder_) {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Sets up the EIP-712 domain used by {permit}. Delegate-called from T3Token.initialize and
+     * T3Token.initializeV2, so a domain that is already set is kept.
+     */
+    function initializePermit(string calldata name) external onlyInitializing {
+        if (bytes(_EIP712Name()).length > 0) {
+            return;
+        }
+        __ERC20Permit_init(name);
+    }
+
+    function _update(address from, address to, uint256 value)
+        internal
+        virtual
+        override(ERC20Upgradeable, T3TokenBase)
+    {
+        super._update(from, to, value);
+    }
+
+    function _msgSender() internal view virtual override(ContextUpgradeable, T3TokenBase) returns (address) {
+        return T3TokenBase._msgSender();
+    }
+
+    function _msgData() internal view virtual override(ContextUpgradeable, T3TokenBase) returns (bytes calldata) {
+        return T3TokenBase._msgData();
+    }
+
+    function _contextSuffixLength() internal view virtual override(ContextUpgradeable, T3TokenBase) returns (uint256) {
+        return T3TokenBase._contextSuffixLength();
+    }
+
+    // --- Fee Pre-funding Functions ---
+
+    function prefundFees(uint256 amount) external whenNotPaused nonReentrant {
+        require(amount > 0, "Prefund amount must be positive");
+        address sender = _msgSender();
+        _requireSpendable(sender, address(0), amount);
+        
+        _transfer(sender, PREFUND_ESCROW, amount); 
+        prefundedFeeBalances[sender] += amount;
+        totalPrefundedFees += amount;
+
+        emit FeePrefunded(sender, amount);
+    }
+
+    function withdrawPrefundedFees(uint256 amount) external whenNotPaused nonReentrant {
+        require(amount > 0, "Withdraw amount must be positive");
+        address sender = _msgSender();
+        require(prefundedFeeBalances[sender] >= amount, "Insufficient pre-funded balance");
+        
+        _releasePrefund(sender, amount, sender);
+
+        emit PrefundedFeeWithdrawn(sender, amount);
+    }
+
+    // --- Fee Sponsorship Functions ---
+
+    /**
+     * @dev Deposits sponsor funds into the prefund escrow. They only pay fees of wallets the sponsor
+     * covers through {sponsorWallet} or {setCustodianSponsorship}, and unused funds can be withdrawn.
+     */
+    function depositSponsorFunds(uint256 amount) external whenNotPaused nonReentrant {
+        require(amount > 0, "Sponsor: Amount must be positive");
+        address sponsor = _msgSender();
+        _requireSpendable(sponsor, address(0), amount);
+
+        _transfer(sponsor, PREFUND_ESCROW, amount);
+        sponsorFeeBalances[sponsor] += amount;
+        totalPrefundedFees += amount;
+        emit SponsorFundsDeposited(sponsor, amount);
+    }
+
+    function withdrawSponsorFunds(uint256 amount) external whenNotPaused nonReentrant {
+        require(amount > 0, "Sponsor: Amount must be positive");
+        address sponsor = _msgSender();
+        require(sponsorFeeBalances[sponsor] >= amount, "Sponsor: Insufficient sponsor balance");
+
+        sponsorFeeBalances[sponsor] -= amount;
+        totalPrefundedFees -= amount;
+        _transfer(PREFUND_ESCROW, sponsor, amount);
+        emit SponsorFundsWithdrawn(sponsor, amount);
+    }
+
+    /**
+     * @dev Covers `wallet`'s fees up to `cap` from the caller's sponsor funds, which must already be
+     * deposited. Replaces the caller's previous cap for the wallet; a cap of 0 revokes the sponsorship.
+     * A wallet has at most one direct sponsor at a time, but one that covers nothing more can be replaced.
+     */
+    function sponsorWallet(address wallet, uint256 cap) external whenNotPaused {
+        require(wallet != address(0), "Sponsor: Wallet cannot be zero address");
+        address sponsor = _msgSender();
+        require(cap == 0 || sponsorFeeBalances[sponsor] > 0, "Sponsor: No sponsor funds deposited");
+        FeeSponsorship storage sponsorship = feeSponsorships[wallet];
+        require(
+            sponsorship.sponsor == sponsor || _sponsorFundsFor(sponsorship.sponsor, sponsorship.remaining) == 0,
+            "Sponsor: Wallet sponsored by another sponsor"
+        );
+
+        if (cap == 0) {
+            delete feeSponsorships[wallet];
+        } else {
+            feeSponsorships[wallet] = FeeSponsorship({ sponsor: sponsor, remaining: cap });
+        }
+        emit FeeSponsorshipUpdated(sponsor, wallet, cap);
+    }
+
+    /**
+     * @dev Lets a custodian in the CustodianRegistry cover the fees of every wallet it custodies, up to
+     * `capPerWallet` each over the wallet's lifetime. A cap of 0 revokes it. Direct sponsorships take precedence.
+     */
+    function setCustodianSponsorship(uint256 capPerWallet) external whenNotPaused {
+        address custodian = _msgSender();
+        require(
+            address(custodianRegistry) != address(0) &&
+                custodianRegistry.hasRole(custodianRegistry.CUSTODIAN_ROLE(), custodian),
+            "Sponsor: Caller is not a custodian"
+        );
+        custodianSponsorshipCaps[custodian] = capPerWallet;
+        emit CustodianSponsorshipUpdated(custodian, capPerWallet);
+    }
+
+    function getFeeSponsor(address wallet) external view returns (address sponsor, uint256 available) {
+        (sponsor, available, ) = _feeSponsorOf(wallet);
+    }
+
+    // --- Fee Bearer ---
+
+    /**
+     * @dev Sets the share of fees the caller bears on incoming transfers, deducted from the amount it
+     * receives: 0 (default) has the sender pay everything, 10000 has the recipient pay everything,
+     * anything in between splits the fee.
+     */
+    function setRecipientFeeShare(uint256 shareBps) external whenNotPaused {
+        require(shareBps <= BASIS_POINTS, "Fee: Share exceeds 100%");
+        recipientFeeShareBps[_msgSender()] = shareBps;
+        emit RecipientFeeShareUpdated(_msgSender(), shareBps);
+    }
+
+    // --- Reversal, Return & Expiry Functions ---
+     function reverseTransfer(uint256 transferId, uint256 amountToReverse) external whenNotPaused {
+        address originatorOfOriginalTransfer = _msgSender(); 
+        TransferMetadata storage meta = _transferData[transferId]; 
+
+        require(meta.originator == originatorOfOriginalTransfer, "Reversal: Sender mismatch");
+
+        if (disputeWindow == 0) {
+            _executeReversal(transferId, amountToReverse, originatorOfOriginalTransfer);
+            _recordReversalOnRiskProfiles(meta);
+            _settleReversalFees(transferId, amountToReverse, true);
+            return;
+        }
+        // Hold the funds in escrow so the recipient can contest the reversal (see {contestReversal})
+        DisputeStatus status = disputes[transferId].status;
+        require(status != DisputeStatus.Escrowed && status != DisputeStatus.Contested, "Dispute: Reversal already pending");
+        _executeReversal(transferId, amountToReverse, address(this));
+        uint256 contestDeadline = block.timestamp + disputeWindow;
+        disputes[transferId] = Dispute({
+            amount: amountToReverse,
+            contestDeadline: contestDeadline,
+            status: DisputeStatus.Escrowed
+        });
+        emit ReversalEscrowed(transferId, amountToReverse, contestDeadline);
+     }
+
+     /**
+      * @dev Originator accepts a pending return proposal. Unlike {reverseTransfer}, an agreed return
+      * does not count against either party's risk profile.
+      */
+     function acceptReturn(uint256 transferId) external whenNotPaused {
+        TransferMetadata storage meta = _transferData[transferId];
+        require(meta.originator == _msgSender(), "Return: Caller is not originator");
+        uint256 amount = returnProposals[transferId];
+        require(amount > 0, "Return: No pending proposal");
+
+        delete returnProposals[transferId];
+        _executeReversal(transferId, amount, meta.originator);
+        _settleReversalFees(transferId, amount, false);
+        emit ReturnAccepted(transferId, meta.originator, amount);
+     }
+
+     /**
+      * @dev Moves `amountToReverse` of a transfer out of the recipient's balance to `payee`, which is
+      * either the originator or this contract when the reversal is held in dispute escrow.
+      * Partial reversals are allowed; the transfer only counts as reversed once its whole amount is.
+      */
+     function _executeReversal(uint256 transferId, uint256 amountToReverse, address payee) internal {
+        TransferMetadata storage meta = _transferData[transferId];
+        address recipientOfOriginalTransfer = meta.recipient;
+
+        require(meta.commitWindowEnd > 0, "Reversal: No active transfer"); 
+        require(block.timestamp < meta.commitWindowEnd, "Reversal: HalfLife expired");
+        require(!meta.isReversed, "Reversal: Transfer already reversed");
+        require(amountToReverse > 0, "Reversal: Amount must be positive");
+        require(amountToReverse <= meta.amount - meta.reversedAmount, "Reversal: Amount exceeds original transfer");
+        require(balanceOf(recipientOfOriginalTransfer) >= amountToReverse, "Reversal: Insufficient recipient balance for reversal amount");
+
+        meta.reversedAmount += amountToReverse;
+        if (meta.reversedAmount == meta.amount) {
+            meta.isReversed = true;
+        }
+        _unlockIncoming(transferId, amountToReverse);
+        _transfer(recipientOfOriginalTransfer, payee, amountToReverse);
+        // Escrowed funds only create a liability once they are paid out to the originator
+        if (payee == meta.originator) {
+            _accrueInterbankLiability(recipientOfOriginalTransfer, payee, amountToReverse);
+            emit TransferReversed(transferId, meta.originator, recipientOfOriginalTransfer, amountToReverse);
+        }
+     }
+
+     /**
+      * @dev Lets the recipient of a transfer (or the recipient's custodian in the CustodianRegistry)
+      * offer to send it back. Nothing moves until the originator calls {acceptReturn}.
+      */
+     function proposeReturn(uint256 transferId, uint256 amount) external whenNotPaused {
+        TransferMetadata storage meta = _transferData[transferId];
+        address proposer = _msgSender();
+
+        require(proposer == meta.recipient || _isCustodianOf(proposer, meta.recipient), "Return: Not recipient or custodian");
+        require(block.timestamp < meta.commitWindowEnd, "Return: HalfLife expired");
+        require(!meta.isReversed, "Return: Transfer already reversed");
+        require(amount > 0 && amount <= meta.amount - meta.reversedAmount, "Return: Invalid amount");
+
+        returnProposals[transferId] = amount;
+        emit ReturnProposed(transferId, proposer, amount);
+     }
+
+     function checkHalfLifeExpiry(uint256 transferId) external whenNotPaused {
+        TransferMetadata storage meta = _transferData[transferId]; 
+        address wallet = meta.recipient;
+        require(meta.commitWindowEnd > 0, "Expiry: No active transfer data");
+        require(!meta.isReversed, "Expiry: Transfer was reversed");
+        require(block.timestamp >= meta.commitWindowEnd, "Expiry: HalfLife not expired yet");
+        // Releasing or resolving an escrowed reversal still needs the record
+        DisputeStatus disputeStatus = disputes[transferId].status;
+        require(
+            disputeStatus != DisputeStatus.Escrowed && disputeStatus != DisputeStatus.Contested,
+            "Expiry: Dispute still open"
+        );
+
+        uint256 feeAssessedForOriginalTx = meta.totalFeeAssessed; 
+        if (feeAssessedForOriginalTx > 0) {
+            // Only the part of the transfer that was kept earns the refund
+            uint256 totalRefundAmount = feeAssessedForOriginalTx * (meta.amount - meta.reversedAmount) / meta.amount / 8;
+            if (totalRefundAmount > 0) {
+                uint256 refundPerParty = totalRefundAmount / 2; 
+                if (refundPerParty > 0) {
+                     _addCredits(meta.originator, refundPerParty);
+                     emit LoyaltyRefundProcessed(meta.originator, refundPerParty);
+                     
+                     _addCredits(wallet, refundPerParty);
+                     emit LoyaltyRefundProcessed(wallet, refundPerParty);
+                }
+            }
+        }
+        _unlockIncoming(transferId, _incomingLock[transferId]);
+        delete _transferData[transferId]; 
+        emit HalfLifeExpired(transferId, wallet, block.timestamp);
+      }
+
+    /**
+     * @dev Unlocks up to `maxEntries` incoming transfers of `wallet` whose commit window has ended.
+     * Spends only release a few themselves, so anyone can call this to clear a long backlog, e.g. one
+     * built up by dust transfers.
+     */
+    function releaseExpiredLocks(address wallet, uint256 maxEntries) external returns (uint256 released) {
+        return _releaseExpiredLocks(wallet, maxEntries);
+    }
+
+    /**
+     * @dev Counts a reversal against both parties, once its funds have actually reached the originator.
+     */
+    function _recordReversalOnRiskProfiles(TransferMetadata storage meta) private {
+        updateWalletRiskProfileOnReversal(meta.originator);
+        updateWalletRiskProfileOnReversal(meta.recipient);
+    }
+
+    function updateWalletRiskProfileOnReversal(address wallet) internal {
+         _ensureProfileExistsForWrite(wallet);
+         _settleRiskDecay(wallet);
+         WalletRiskProfile storage profile = walletRiskProfiles[wallet];
+         profile.reversalCount++;
+         profile.lastReversal = block.timestamp;
+         _riskDecayCheckpoint[wallet] = block.timestamp;
+         _reportRiskFactor(wallet);
+    }
+
+    // --- Dispute Functions ---
+
+    /**
+     * @dev Recipient objects to an escrowed reversal before its contest deadline. The funds stay in
+     * escrow until {resolveDispute} is called.
+     */
+    function contestReversal(uint256 transferId) external whenNotPaused {
+        Dispute storage dispute = disputes[transferId];
+        require(_transferData[transferId].recipient == _msgSender(), "Dispute: Caller is not recipient");
+        require(dispute.status == DisputeStatus.Escrowed, "Dispute: Reversal not contestable");
+        require(block.timestamp < dispute.contestDeadline, "Dispute: Contest window closed");
+
+        dispute.status = DisputeStatus.Contested;
+        emit ReversalContested(transferId, _msgSender());
+    }
+
+    /**
+     * @dev Pays an uncontested reversal out to the originator once the contest window has closed.
+     * Callable by anyone.
+     */
+    function releaseReversal(uint256 transferId) external whenNotPaused {
+        Dispute storage dispute = disputes[transferId];
+        require(dispute.status == DisputeStatus.Escrowed, "Dispute: Nothing to release");
+        require(block.timestamp >= dispute.contestDeadline, "Dispute: Contest window still open");
+
+        TransferMetadata storage meta = _transferData[transferId];
+        dispute.status = DisputeStatus.Resolved;
+        _transfer(address(this), meta.originator, dispute.amount);
+        _accrueInterbankLiability(meta.recipient, meta.originator, dispute.amount);
+        _recordReversalOnRiskProfiles(meta);
+        emit TransferReversed(transferId, meta.originator, meta.recipient, dispute.amount);
+        _settleReversalFees(transferId, dispute.amount, true);
+    }
+
+    /**
+     * @dev Rules on a contested reversal. Callable by an `ARBITER_ROLE` holder or the recipient's
+     * custodian in the CustodianRegistry. The escrow goes to the winner and the losing side's
+     * `disputesLost` count is raised, which feeds into {calculateRiskFactor}.
+     */
+    function resolveDispute(uint256 transferId, bool inFavorOfRecipient) external whenNotPaused {
+        TransferMetadata storage meta = _transferData[transferId];
+        Dispute storage dispute = disputes[transferId];
+        address resolver = _msgSender();
+        require(hasRole(ARBITER_ROLE, resolver) || _isCustodianOf(resolver, meta.recipient), "Dispute: Not arbiter or custodian");
+        require(dispute.status == DisputeStatus.Contested, "Dispute: Not contested");
+
+        dispute.status = DisputeStatus.Resolved;
+        (address winner, address loser) = inFavorOfRecipient
+            ? (meta.recipient, meta.originator)
+            : (meta.originator, meta.recipient);
+        _transfer(address(this), winner, dispute.amount);
+        _ensureProfileExistsForWrite(loser);
+        walletRiskProfiles[loser].disputesLost++;
+        _reportRiskFactor(loser);
+
+        emit DisputeResolved(transferId, resolver, winner, dispute.amount);
+        if (inFavorOfRecipient) {
+            _undoEscrowedReversal(transferId, dispute.amount);
+        } else {
+            _accrueInterbankLiability(meta.recipient, meta.originator, dispute.amount);
+            _recordReversalOnRiskProfiles(meta);
+            emit TransferReversed(transferId, meta.originator, meta.recipient, dispute.amount);
+            _settleReversalFees(transferId, dispute.amount, true);
+        }
+    }
+
+    /**
+     * @dev Puts an overturned reversal back on the transfer: the amount counts as kept again, so the
+     * transfer can still expire and earn its loyalty refund, and is locked again while the commit
+     * window is open. Locks of a window that has ended are released anyway, so none is restored then.
+     */
+    function _undoEscrowedReversal(uint256 transferId, uint256 amount) private {
+        TransferMetadata storage meta = _transferData[transferId];
+        meta.reversedAmount -= amount;
+        meta.isReversed = false;
+        if (block.timestamp < meta.commitWindowEnd) {
+            _incomingLock[transferId] += amount;
+            _lockedIncoming[meta.recipient] += amount;
+            _lockedIncomingFrom[meta.recipient][meta.originator] += amount;
+        }
+    }
+}
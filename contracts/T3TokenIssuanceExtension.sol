@@ -0,0 +1,140 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./T3TokenBase.sol";
+
+/**
+ * @title T3TokenIssuanceExtension
+ * @dev Minting, burning and redemption of the T3 token, bounded by the per-minter allowances and
+ * the mint approval threshold set in T3TokenAdminExtension. Never used on its own: T3Token delegates
+ * the selectors routed to this contract here, so all state read and written here is the token proxy's.
+ */
+contract T3TokenIssuanceExtension is T3TokenBase {
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address trustedForwarder_) T3TokenBase(trustedForwarder_) {
+        _disableInitializers();
+    }
+
+    // --- Minting and Burning Functions ---
+    // Every mint is bounded by the minter's allowance (see {setMinterAllowance}); a minter without
+    // one cannot mint. Mints above `mintApprovalThreshold` go through {requestMint} and {approveMint}.
+     function mint(address recipient, uint256 amount) external whenNotPaused onlyRole(MINTER_ROLE) {
+         require(mintApprovalThreshold == 0 || amount <= mintApprovalThreshold, "Mint: Amount requires approval");
+         _mintWithinAllowance(_msgSender(), recipient, amount);
+      }
+
+    /**
+     * @dev Queues a mint for a second approver. The requesting minter's allowance is checked and
+     * used when the request is approved, not when it is made.
+     */
+    function requestMint(address recipient, uint256 amount) external whenNotPaused onlyRole(MINTER_ROLE) returns (uint256 requestId) {
+        require(recipient != address(0), "Mint to the zero address");
+        require(amount > 0, "Mint amount must be positive");
+        requestId = ++lastMintRequestId;
+        mintRequests[requestId] = MintRequest(_msgSender(), recipient, amount);
+        emit MintRequested(requestId, _msgSender(), recipient, amount);
+    }
+
+    /**
+     * @dev Approves and executes a queued mint. The approver must be another minter or an admin,
+     * never the minter who made the request.
+     */
+    function approveMint(uint256 requestId) external whenNotPaused {
+        MintRequest memory request = mintRequests[requestId];
+        address approver = _msgSender();
+        require(request.minter != address(0), "Mint: Unknown request");
+        require(approver != request.minter, "Mint: Approver must differ from requester");
+        require(hasRole(MINTER_ROLE, approver) || hasRole(ADMIN_ROLE, approver), "Mint: Caller cannot approve");
+        require(hasRole(MINTER_ROLE, request.minter), "Mint: Requester is no longer a minter");
+
+        delete mintRequests[requestId];
+        _mintWithinAllowance(request.minter, request.recipient, request.amount);
+        emit MintApproved(requestId, approver);
+    }
+
+    function cancelMintRequest(uint256 requestId) external {
+        address requester = mintRequests[requestId].minter;
+        require(requester != address(0), "Mint: Unknown request");
+        require(_msgSender() == requester || hasRole(ADMIN_ROLE, _msgSender()), "Mint: Caller cannot cancel");
+        delete mintRequests[requestId];
+        emit MintRequestCancelled(requestId);
+    }
+
+      function burn(uint256 amount) external whenNotPaused {
+          require(amount > 0, "Burn amount must be positive");
+          _requireSpendable(_msgSender(), address(0), amount);
+          _burn(_msgSender(), amount); 
+       }
+
+       function burnFrom(address account, uint256 amount) external whenNotPaused {
+           require(amount > 0, "Burn amount must be positive");
+           address spender = _msgSender();
+           _spendAllowance(account, spender, amount); 
+           _requireSpendable(account, address(0), amount);
+           _burn(account, amount); 
+       }
+
+    /**
+     * @dev Redemption burn: a `BURNER_ROLE` holder burns `amount` of tokens returned to `minter` from
+     * the minter's own balance (the burner must be the minter or approved by it), freeing that much of
+     * the minter's cap. A minter's issuance can only be redeemed with funds the minter holds.
+     */
+    function redeem(address minter, uint256 amount) external whenNotPaused onlyRole(BURNER_ROLE) {
+        require(amount > 0, "Burn amount must be positive");
+        require(
+            redeemedByMinter[minter] + amount <= mintedByMinter[minter],
+            "Redeem: Amount exceeds minter's outstanding issuance"
+        );
+        address burner = _msgSender();
+        if (minter != burner) {
+            _spendAllowance(minter, burner, amount);
+        }
+        _requireSpendable(minter, address(0), amount);
+        redeemedByMinter[minter] += amount;
+        _burn(minter, amount);
+        emit TokensRedeemed(burner, minter, amount);
+    }
+
+    function _mintWithinAllowance(address minterAccount, address recipient, uint256 amount) private {
+        require(recipient != address(0), "Mint to the zero address");
+        require(recipient != PREFUND_ESCROW, "Mint to prefund escrow");
+        require(amount > 0, "Mint amount must be positive");
+        _enforceKYC(address(0), recipient);
+
+        MinterAllowance storage allowance = minterAllowances[minterAccount];
+        require(
+            mintedByMinter[minterAccount] - redeemedByMinter[minterAccount] + amount <= allowance.cap,
+            "Mint: Exceeds minter cap"
+        );
+        if (allowance.dailyLimit > 0) {
+            _useMinterDailyLimit(allowance, amount);
+        }
+
+        _mint(recipient, amount);
+        mintedByMinter[minterAccount] += amount;
+        emit TokensMinted(minterAccount, recipient, amount);
+    }
+
+    /**
+     * @dev Counts `amount` against the minter's daily limit, a rolling window over the current and the
+     * previous 23 clock hours: a mint stops counting when its hour leaves the window, 23 to 24 hours later.
+     */
+    function _useMinterDailyLimit(MinterAllowance storage allowance, uint256 amount) private {
+        uint256 hour = block.timestamp / 1 hours;
+        uint256 lastHour = allowance.lastMintHour;
+        // Hours since the last mint reuse buckets that still hold mints from over 24 hours ago
+        uint256 staleHours = hour - lastHour < 24 ? hour - lastHour : 24;
+        for (uint256 i = 1; i <= staleHours; i++) {
+            allowance.mintedPerHour[(lastHour + i) % 24] = 0;
+        }
+        allowance.lastMintHour = hour;
+
+        uint256 minted = amount;
+        for (uint256 i = 0; i < 24; i++) {
+            minted += allowance.mintedPerHour[i];
+        }
+        require(minted <= allowance.dailyLimit, "Mint: Exceeds minter daily limit");
+        allowance.mintedPerHour[hour % 24] += amount;
+    }
+}
@@ -0,0 +1,137 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./T3TokenBase.sol";
+
+/**
+ * @title T3TokenViewsExtension
+ * @dev Read-only views of the T3 token: locked and spendable balances, credits, fee estimates and wallet stats.
+ * Never used on its own: T3Token delegates the selectors routed to this contract here, so all state
+ * read here is the token proxy's.
+ */
+contract T3TokenViewsExtension is T3TokenBase {
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address trustedForwarder_) T3TokenBase(trustedForwarder_) {
+        _disableInitializers();
+    }
+
+    // --- Locked Balance Views ---
+    function lockedBalanceOf(address wallet) public view returns (uint256) {
+        return _lockedBalance(wallet, address(0));
+    }
+    function spendableBalanceOf(address wallet) external view returns (uint256) {
+        uint256 balance = balanceOf(wallet);
+        uint256 locked = lockedBalanceOf(wallet);
+        return balance > locked ? balance - locked : 0;
+    }
+
+    // --- View Functions ---
+    function transferData(uint256 transferId) external view returns (TransferMetadata memory) {
+        return _transferData[transferId];
+    }
+    function getAvailableCredits(address wallet) external view returns (uint256) {
+        return _availableCredits(wallet);
+     }
+    function getPrefundedFeeBalance(address wallet) external view returns (uint256) {
+        return prefundedFeeBalances[wallet];
+    }
+    function getFeeTiers() external view returns (FeeTier[] memory) {
+        return _feeTiers;
+    }
+
+    // --- Wallet Onboarding Views ---
+    function getWalletStats(address wallet) external view returns (WalletStats memory stats) {
+        WalletRiskProfile storage profile = walletRiskProfiles[wallet];
+        stats.firstSeen = profile.creationTime;
+        stats.firstOutbound = firstOutboundTime[wallet];
+        stats.age = stats.firstSeen > 0 ? block.timestamp - stats.firstSeen : 0;
+        stats.isNewWallet = _isNewWallet(wallet);
+        (stats.reversalCount, stats.abnormalTxCount) = _decayedRiskCounts(wallet);
+        stats.disputesLost = profile.disputesLost;
+        stats.lastReversal = profile.lastReversal;
+        stats.riskFactor = calculateRiskFactor(wallet);
+    }
+
+    function estimateTransferFeeDetails(
+        address sender,
+        address recipient,
+        uint256 amountIntendedForRecipient 
+    ) external view returns (FeeDetails memory details) {
+        require(recipient != address(0), "Estimate: Transfer to zero address");
+        require(amountIntendedForRecipient > 0, "Estimate: Transfer amount must be greater than zero");
+
+        details.requestedAmount = amountIntendedForRecipient;
+
+        uint256 baseFee = calculateBaseFeeAmount(amountIntendedForRecipient);
+        uint256 feeAfterRiskCalc = applyRiskAdjustments(baseFee, sender, recipient, amountIntendedForRecipient);
+        feeAfterRiskCalc -= (feeAfterRiskCalc * _transferPolicy(sender, recipient).feeDiscountBps) / BASIS_POINTS;
+        
+        details.totalFeeAssessed = feeAfterRiskCalc; 
+        details.maxFeeBound = (amountIntendedForRecipient * feeParameters.maxFeePercentBps) / BASIS_POINTS;
+        if (details.totalFeeAssessed > details.maxFeeBound) { 
+            details.totalFeeAssessed = details.maxFeeBound; 
+            details.maxFeeApplied = true;
+        } else {
+            details.maxFeeApplied = false; 
+        }
+
+        details.minFeeBound = feeParameters.minFeeWei;
+        if (details.totalFeeAssessed > 0 && details.totalFeeAssessed < details.minFeeBound && amountIntendedForRecipient >= details.minFeeBound) {
+             if (details.minFeeBound <= details.maxFeeBound && details.minFeeBound <= amountIntendedForRecipient) { 
+                  details.totalFeeAssessed = details.minFeeBound; 
+                  details.minFeeApplied = true;
+                  if (details.totalFeeAssessed >= details.maxFeeBound) { 
+                      details.maxFeeApplied = true; 
+                  } else {
+                      details.maxFeeApplied = false;
+                  }
+             } else {
+                 details.minFeeApplied = false; 
+             }
+        } else {
+             details.minFeeApplied = false; 
+        }
+        
+        details.feeBeforeCreditsAndBounds = feeAfterRiskCalc; 
+
+        // Credits only cover the sender's part of the fee
+        details.feeBorneByRecipient = _recipientFeeShare(recipient, details.totalFeeAssessed);
+        uint256 senderFee = details.totalFeeAssessed - details.feeBorneByRecipient;
+        details.availableCredits = _availableCredits(sender);
+        uint256 feeRemainingAfterCredits;
+
+        if (details.availableCredits == 0 || senderFee == 0) {
+             details.creditsToApply = 0;
+             feeRemainingAfterCredits = senderFee;
+        } else if (details.availableCredits >= senderFee) {
+             details.creditsToApply = senderFee;
+             feeRemainingAfterCredits = 0;
+        } else {
+             details.creditsToApply = details.availableCredits;
+             feeRemainingAfterCredits = senderFee - details.availableCredits;
+        }
+        details.feeAfterCredits = feeRemainingAfterCredits; 
+        
+        details.netAmountToSendToRecipient = amountIntendedForRecipient - details.feeBorneByRecipient; 
+
+        return details;
+    }
+
+    /**
+     * @dev Allowance a spender needs for `transferFrom(from, to, amountIntendedForRecipient)` right now:
+     * the amount plus whatever part of the fee `from` cannot cover from prefunded fees and credits.
+     */
+    function estimateTransferFromCost(
+        address from,
+        address to,
+        uint256 amountIntendedForRecipient
+    ) external view returns (uint256 requiredAllowance, uint256 feePaidFromBalance) {
+        uint256 totalFee = _calculateTotalFeeAssessed(from, to, amountIntendedForRecipient, _transferPolicy(from, to));
+        totalFee -= _recipientFeeShare(to, totalFee);
+        (, uint256 sponsoredFee, ) = _feeSponsorOf(from);
+        uint256 coveredFee = sponsoredFee + prefundedFeeBalances[from] + _availableCredits(from);
+        feePaidFromBalance = totalFee > coveredFee ? totalFee - coveredFee : 0;
+        requiredAllowance = amountIntendedForRecipient + feePaidFromBalance;
+    }
+}
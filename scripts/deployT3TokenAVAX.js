@@ -1,4 +1,5 @@
 const { ethers, upgrades } = require("hardhat");
+const { T3_TOKEN_EXTENSIONS, deployT3TokenExtensions } = require("./t3TokenExtensions");
 
 async function main() {
   const [deployer] = await ethers.getSigners();
@@ -29,6 +30,28 @@ async function main() {
   console.log("----------------------------------------------------");
 
 
+  // --- Deployment for T3Forwarder ---
+  // ERC-2771 trusted forwarder used by relayers to submit gasless (meta-transaction) transfers.
+  console.log("Deploying T3Forwarder...");
+  const T3ForwarderFactory = await ethers.getContractFactory("T3Forwarder");
+  const t3Forwarder = await T3ForwarderFactory.deploy();
+  await t3Forwarder.waitForDeployment();
+  const t3ForwarderAddress = await t3Forwarder.getAddress();
+  console.log("T3Forwarder deployed to:", t3ForwarderAddress);
+  console.log("----------------------------------------------------");
+
+
+  // --- Deployment for the T3Token extensions ---
+  // T3Token routes every function it does not implement itself to one of these contracts by selector;
+  // the routes are registered by `initialize` below.
+  console.log("Deploying T3Token extensions...");
+  const { addresses: t3ExtensionAddresses, routes: t3ExtensionRoutes } = await deployT3TokenExtensions(t3ForwarderAddress);
+  for (const name of T3_TOKEN_EXTENSIONS) {
+    console.log(`${name} deployed to:`, t3ExtensionAddresses[name]);
+  }
+  console.log("----------------------------------------------------");
+
+
   // --- Deployment for T3Token ---
   console.log("Deploying T3Token (upgradeable UUPS proxy)...");
   const T3TokenFactory = await ethers.getContractFactory("T3Token");
@@ -66,11 +89,13 @@ async function main() {
       initialHalfLifeDuration,
       initialMinHalfLifeDuration,
       initialMaxHalfLifeDuration,
-      initialInactivityResetPeriod
+      initialInactivityResetPeriod,
+      t3ExtensionRoutes
     ],
     {
       initializer: "initialize",
       kind: "uups",
+      constructorArgs: [t3ForwarderAddress],
       timeout: 0 // Consider adjusting if needed
     }
   );
@@ -84,7 +109,11 @@ async function main() {
 
   console.log("\nVerification Commands (run for each implementation):");
   console.log(`npx hardhat verify --network fuji ${crImplementationAddress} --contract contracts/CustodianRegistry.sol:CustodianRegistry`);
-  console.log(`npx hardhat verify --network fuji ${t3ImplementationAddress} --contract contracts/T3Token.sol:T3Token`);
+  console.log(`npx hardhat verify --network fuji ${t3ForwarderAddress} --contract contracts/T3Forwarder.sol:T3Forwarder`);
+  for (const name of T3_TOKEN_EXTENSIONS) {
+    console.log(`npx hardhat verify --network fuji ${t3ExtensionAddresses[name]} --contract contracts/${name}.sol:${name} ${t3ForwarderAddress}`);
+  }
+  console.log(`npx hardhat verify --network fuji ${t3ImplementationAddress} --contract contracts/T3Token.sol:T3Token ${t3ForwarderAddress}`);
   console.log("\nFor proxies, check Snowtrace UI to link to implementations after verifying them.");
 }
 
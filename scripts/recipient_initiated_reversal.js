@@ -1,5 +1,6 @@
 const { ethers } = require("hardhat");
 require("dotenv").config();
+const { attachT3Token } = require("./t3TokenExtensions");
 
 const wallet1 = new ethers.Wallet(process.env.WALLET1_PRIVATE_KEY, ethers.provider);
 const wallet2 = new ethers.Wallet(process.env.WALLET2_PRIVATE_KEY, ethers.provider);
@@ -7,21 +8,25 @@ const contractAddress = process.env.T3_CONTRACT_ADDRESS;
 const amount = ethers.parseEther("1000");
 
 async function main() {
-  const T3Token1 = await ethers.getContractFactory("T3Token", wallet1);
-  const t3FromWallet1 = T3Token1.attach(contractAddress);
+  // proposeReturn and acceptReturn are served by an extension, so attach with the combined ABI
+  const t3FromWallet1 = await attachT3Token(contractAddress, wallet1);
 
   console.log("🔁 1. Transferring from Wallet1 to Wallet2...");
   const tx1 = await t3FromWallet1.transfer(wallet2.address, amount);
   await tx1.wait();
   console.log("✅ Transfer complete");
 
-  const hash = ethers.solidityPackedKeccak256(["uint256", "address"], [amount, wallet2.address]);
+  const transferId = await t3FromWallet1.latestTransferId(wallet2.address);
 
-  console.log("\n🔁 2. Attempting reversal from Wallet2 (recipient) back to Wallet1...");
-  const T3Token2 = await ethers.getContractFactory("T3Token", wallet2);
-  const t3FromWallet2 = T3Token2.attach(contractAddress);
-  const tx2 = await t3FromWallet2.reverseTransfer(wallet2.address, amount, hash);
+  console.log(`\n🔁 2. Wallet2 (recipient) proposes returning transfer #${transferId}...`);
+  const t3FromWallet2 = t3FromWallet1.connect(wallet2);
+  const tx2 = await t3FromWallet2.proposeReturn(transferId, amount);
   await tx2.wait();
+  console.log("✅ Return proposed");
+
+  console.log("\n🔁 3. Wallet1 (originator) accepts the return...");
+  const tx3 = await t3FromWallet1.acceptReturn(transferId);
+  await tx3.wait();
   console.log("✅ Reversal from recipient successful!");
 }
 
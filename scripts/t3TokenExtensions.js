@@ -0,0 +1,87 @@
+// scripts/t3TokenExtensions.js
+// Shared by the deploy scripts, the interaction scripts and the tests; not meant to be run on its own.
+const { ethers } = require("hardhat");
+
+// Contracts T3Token's fallback routes selectors to (see T3Token.setExtensionRoutes)
+const T3_TOKEN_EXTENSIONS = [
+  "T3TokenExtension",
+  "T3TokenAdminExtension",
+  "T3TokenIssuanceExtension",
+  "T3TokenClearingExtension",
+  "T3TokenViewsExtension",
+  "T3TokenBatchExtension",
+];
+
+/**
+ * Combined ABI of T3Token and its extensions, i.e. the interface integrators see at the proxy address.
+ */
+async function getT3TokenAbi() {
+  const names = ["T3Token", ...T3_TOKEN_EXTENSIONS];
+  const seen = new Set();
+  const fragments = [];
+  for (const name of names) {
+    const factory = await ethers.getContractFactory(name);
+    for (const fragment of factory.interface.fragments) {
+      if (["constructor", "fallback", "receive"].includes(fragment.type)) {
+        if (name === "T3Token") fragments.push(fragment);
+        continue;
+      }
+      const key = `${fragment.type}:${fragment.format("sighash")}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      fragments.push(fragment);
+    }
+  }
+  return fragments;
+}
+
+/**
+ * Attaches to a deployed T3Token proxy with the combined ABI.
+ */
+async function attachT3Token(address, runner) {
+  return new ethers.Contract(address, await getT3TokenAbi(), runner);
+}
+
+/**
+ * Route for each extension: the functions it serves that T3Token does not implement itself.
+ * `extensionAddresses` maps extension contract names to their deployed addresses.
+ */
+async function getT3TokenExtensionRoutes(extensionAddresses) {
+  const tokenInterface = (await ethers.getContractFactory("T3Token")).interface;
+  const tokenSelectors = new Set();
+  tokenInterface.forEachFunction((fragment) => tokenSelectors.add(fragment.selector));
+
+  const routes = [];
+  for (const name of T3_TOKEN_EXTENSIONS) {
+    const extensionInterface = (await ethers.getContractFactory(name)).interface;
+    const selectors = [];
+    extensionInterface.forEachFunction((fragment) => {
+      if (!tokenSelectors.has(fragment.selector)) selectors.push(fragment.selector);
+    });
+    routes.push({ extension: extensionAddresses[name], selectors });
+  }
+  return routes;
+}
+
+/**
+ * Deploys every extension with `forwarderAddress` as trusted forwarder. Returns their addresses by
+ * contract name and the routes to pass to T3Token.initialize.
+ */
+async function deployT3TokenExtensions(forwarderAddress) {
+  const addresses = {};
+  for (const name of T3_TOKEN_EXTENSIONS) {
+    const factory = await ethers.getContractFactory(name);
+    const extension = await factory.deploy(forwarderAddress);
+    await extension.waitForDeployment();
+    addresses[name] = await extension.getAddress();
+  }
+  return { addresses, routes: await getT3TokenExtensionRoutes(addresses) };
+}
+
+module.exports = {
+  T3_TOKEN_EXTENSIONS,
+  getT3TokenAbi,
+  attachT3Token,
+  getT3TokenExtensionRoutes,
+  deployT3TokenExtensions,
+};
@@ -24,7 +24,6 @@ async function main() {
   console.log("  - Commit Window End:", new Date(unlockTime).toISOString());
   console.log("  - Originator:", metadata.originator);
   console.log("  - Transfer Count:", metadata.transferCount.toString());
-  console.log("🔑 Reversal Hash:", metadata.reversalHash);
 
   await logBalances(t3, wallet1, "wallet1", "After attempted Wallet1 ➡️ Wallet2",wallet2, "wallet2");
 
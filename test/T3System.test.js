@@ -2,9 +2,19 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers"); 
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { attachT3Token, deployT3TokenExtensions } = require("../scripts/t3TokenExtensions");
 
 const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
 
+async function getTransferId(t3Token, txPromise) {
+    const receipt = await (await txPromise).wait();
+    const recorded = receipt.logs
+        .map((log) => { try { return t3Token.interface.parseLog(log); } catch (e) { return null; } })
+        .find((parsed) => parsed && parsed.name === "TransferRecorded");
+    return recorded.args.transferId;
+}
+
 describe("T3 System: CustodianRegistry and T3Token", function () {
     async function deployT3SystemFixture() {
         const [owner, admin, treasury, custodian1, custodian2, user1, user2, user3, minter, pauser, user4, user5] = await ethers.getSigners();
@@ -21,11 +31,22 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
         const CUSTODIAN_ROLE_CR = await custodianRegistry.CUSTODIAN_ROLE();
         const DEFAULT_ADMIN_ROLE_CR = await custodianRegistry.DEFAULT_ADMIN_ROLE();
 
+        // Both token contracts trust the same ERC-2771 forwarder for meta-transactions.
+        const T3ForwarderFactory = await ethers.getContractFactory("T3Forwarder");
+        const t3Forwarder = await T3ForwarderFactory.deploy();
+        await t3Forwarder.waitForDeployment();
+        const forwarderAddress = await t3Forwarder.getAddress();
+
+        // T3Token routes reversal, dispute, admin, issuance, clearing and view functions to its extensions
+        // by selector, so the tests talk to the proxy through the combined ABI.
+        const { routes: extensionRoutes } = await deployT3TokenExtensions(forwarderAddress);
+        const t3TokenConstructorArgs = [forwarderAddress];
+
         const T3TokenFactory = await ethers.getContractFactory("T3Token");
         const oneDayInSeconds = 24 * 60 * 60;
         const initialMintAmount = ethers.parseUnits("10000000", 18); 
 
-        const t3Token = await upgrades.deployProxy(
+        const t3TokenProxy = await upgrades.deployProxy(
             T3TokenFactory,
             [
                 "T3 Stablecoin Test", 
@@ -36,11 +57,13 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
                 3600,                 
                 600,                  
                 oneDayInSeconds,      
-                30 * oneDayInSeconds  
+                30 * oneDayInSeconds,
+                extensionRoutes
             ],
-            { initializer: "initialize", kind: "uups" }
+            { initializer: "initialize", kind: "uups", constructorArgs: t3TokenConstructorArgs }
         );
-        await t3Token.waitForDeployment();
+        await t3TokenProxy.waitForDeployment();
+        const t3Token = await attachT3Token(await t3TokenProxy.getAddress(), owner);
 
         const DEFAULT_ADMIN_ROLE_T3 = await t3Token.DEFAULT_ADMIN_ROLE();
         const ADMIN_ROLE_T3 = await t3Token.ADMIN_ROLE();
@@ -49,10 +72,11 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
         const PAUSER_ROLE_T3 = await t3Token.PAUSER_ROLE();
 
         await t3Token.connect(admin).grantRole(MINTER_ROLE_T3, minter.address);
+        await t3Token.connect(admin).setMinterAllowance(minter.address, ethers.parseUnits("1000000000", 18), 0);
         await t3Token.connect(admin).grantRole(PAUSER_ROLE_T3, pauser.address);
         
         return {
-            custodianRegistry, T3TokenFactory, t3Token, CustodianRegistryFactory,
+            custodianRegistry, T3TokenFactory, t3Token, CustodianRegistryFactory, t3TokenConstructorArgs, extensionRoutes, t3Forwarder,
             owner, admin, treasury, custodian1, custodian2, user1, user2, user3, minter, pauser, user4, user5,
             ADMIN_ROLE_CR, CUSTODIAN_ROLE_CR, DEFAULT_ADMIN_ROLE_CR,
             DEFAULT_ADMIN_ROLE_T3, ADMIN_ROLE_T3, MINTER_ROLE_T3, BURNER_ROLE_T3, PAUSER_ROLE_T3,
@@ -60,7 +84,7 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
         };
     }
 
-    let custodianRegistry, T3TokenFactory, t3Token, CustodianRegistryFactory;
+    let custodianRegistry, T3TokenFactory, t3Token, CustodianRegistryFactory, t3TokenConstructorArgs, extensionRoutes, t3Forwarder;
     let owner, admin, treasury, custodian1, custodian2, user1, user2, user3, minter, pauser, user4, user5;
     let ADMIN_ROLE_CR, CUSTODIAN_ROLE_CR, DEFAULT_ADMIN_ROLE_CR;
     let DEFAULT_ADMIN_ROLE_T3, ADMIN_ROLE_T3, MINTER_ROLE_T3, BURNER_ROLE_T3, PAUSER_ROLE_T3;
@@ -69,7 +93,7 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
     beforeEach(async function () {
         const fixtures = await loadFixture(deployT3SystemFixture);
         ({ 
-            custodianRegistry, T3TokenFactory, t3Token, CustodianRegistryFactory,
+            custodianRegistry, T3TokenFactory, t3Token, CustodianRegistryFactory, t3TokenConstructorArgs, extensionRoutes, t3Forwarder,
             owner, admin, treasury, custodian1, custodian2, user1, user2, user3, minter, pauser, user4, user5,
             ADMIN_ROLE_CR, CUSTODIAN_ROLE_CR, DEFAULT_ADMIN_ROLE_CR,
             DEFAULT_ADMIN_ROLE_T3, ADMIN_ROLE_T3, MINTER_ROLE_T3, BURNER_ROLE_T3, PAUSER_ROLE_T3,
@@ -220,16 +244,16 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
         });
         it("Initialize: Should revert if treasury address is zero", async function() {
             const T3TokenFactoryDep = await ethers.getContractFactory("T3Token"); 
-            await expect(upgrades.deployProxy(T3TokenFactoryDep, ["T3", "T3", admin.address, ZERO_ADDRESS, 0, 3600, 600, 86400, 30*86400], {initializer: "initialize", kind: "uups"}))
+            await expect(upgrades.deployProxy(T3TokenFactoryDep, ["T3", "T3", admin.address, ZERO_ADDRESS, 0, 3600, 600, 86400, 30*86400, extensionRoutes], {initializer: "initialize", kind: "uups", constructorArgs: t3TokenConstructorArgs}))
                 .to.be.revertedWith("Treasury address cannot be zero");
         });
         it("Initialize: Should revert with invalid HalfLife parameters", async function() {
             const T3TokenFactoryDep = await ethers.getContractFactory("T3Token");
-            await expect(upgrades.deployProxy(T3TokenFactoryDep, ["T3", "T3", admin.address, treasury.address, 0, 3600, 0, 86400, 30*86400], {initializer: "initialize", kind: "uups"}))
+            await expect(upgrades.deployProxy(T3TokenFactoryDep, ["T3", "T3", admin.address, treasury.address, 0, 3600, 0, 86400, 30*86400, extensionRoutes], {initializer: "initialize", kind: "uups", constructorArgs: t3TokenConstructorArgs}))
                 .to.be.revertedWith("Min HalfLife must be positive");
-            await expect(upgrades.deployProxy(T3TokenFactoryDep, ["T3", "T3", admin.address, treasury.address, 0, 3600, 86401, 86400, 30*86400], {initializer: "initialize", kind: "uups"}))
+            await expect(upgrades.deployProxy(T3TokenFactoryDep, ["T3", "T3", admin.address, treasury.address, 0, 3600, 86401, 86400, 30*86400, extensionRoutes], {initializer: "initialize", kind: "uups", constructorArgs: t3TokenConstructorArgs}))
                 .to.be.revertedWith("Min HalfLife exceeds max");
-             await expect(upgrades.deployProxy(T3TokenFactoryDep, ["T3", "T3", admin.address, treasury.address, 0, 500, 600, 86400, 30*86400], {initializer: "initialize", kind: "uups"}))
+             await expect(upgrades.deployProxy(T3TokenFactoryDep, ["T3", "T3", admin.address, treasury.address, 0, 500, 600, 86400, 30*86400, extensionRoutes], {initializer: "initialize", kind: "uups", constructorArgs: t3TokenConstructorArgs}))
                 .to.be.revertedWith("Initial HalfLife out of bounds");
         });
     });
@@ -358,7 +382,7 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
             }
 
             await t3Token.connect(admin).transfer(user1.address, baseTransferAmount);
-            let transferDataUser1 = await t3Token.transferData(user1.address);
+            let transferDataUser1 = await t3Token.transferData(await t3Token.latestTransferId(user1.address));
             let currentBlockTimestamp = await time.latest();
             if (transferDataUser1.commitWindowEnd > currentBlockTimestamp) {
                 await time.increaseTo(transferDataUser1.commitWindowEnd + BigInt(1));
@@ -372,7 +396,7 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
                  await t3Token.connect(minter).mint(user1.address, totalCost1 - currentUser1Balance + feeBuffer); 
             }
             await t3Token.connect(user1).transfer(user2.address, smallTransfer);
-            let transferDataUser2 = await t3Token.transferData(user2.address);
+            let transferDataUser2 = await t3Token.transferData(await t3Token.latestTransferId(user2.address));
             currentBlockTimestamp = await time.latest();
             if (transferDataUser2.commitWindowEnd > currentBlockTimestamp) {
                 await time.increaseTo(transferDataUser2.commitWindowEnd + BigInt(1));
@@ -385,7 +409,7 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
                  await t3Token.connect(minter).mint(user2.address, totalCost2 - currentUser2Balance + feeBuffer);
             }
             await t3Token.connect(user2).transfer(user1.address, smallTransfer);
-            transferDataUser1 = await t3Token.transferData(user1.address); 
+            transferDataUser1 = await t3Token.transferData(await t3Token.latestTransferId(user1.address)); 
             currentBlockTimestamp = await time.latest();
             if (transferDataUser1.commitWindowEnd > currentBlockTimestamp) {
                 await time.increaseTo(transferDataUser1.commitWindowEnd + BigInt(1));
@@ -468,7 +492,7 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
             if (user1Bal < totalCost) {
                 await t3Token.connect(minter).mint(user1.address, totalCost - user1Bal + ethers.parseUnits("1",18));
             }
-            let transferDataUser1 = await t3Token.transferData(user1.address);
+            let transferDataUser1 = await t3Token.transferData(await t3Token.latestTransferId(user1.address));
             let currentBlockTimestamp = await time.latest();
             if (transferDataUser1.commitWindowEnd > currentBlockTimestamp) {
                 await time.increaseTo(transferDataUser1.commitWindowEnd + BigInt(1));
@@ -478,7 +502,7 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
 
             await expect(
                 t3Token.connect(user3).transfer(user2.address, ethers.parseUnits("10", 18))
-            ).to.be.revertedWith("Cannot transfer during HalfLife period except back to originator");
+            ).to.be.revertedWith("HalfLife: Amount exceeds spendable balance");
 
             const backTransferAmount = ethers.parseUnits("10", 18);
             const feeDetailsBack = await t3Token.estimateTransferFeeDetails(user3.address, user1.address, backTransferAmount);
@@ -500,7 +524,7 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
             if (user1BalRev < totalCostForTransfer) {
                 await t3Token.connect(minter).mint(user1.address, totalCostForTransfer - user1BalRev + ethers.parseUnits("1",18));
             }
-            let transferDataUser1_rev = await t3Token.transferData(user1.address);
+            let transferDataUser1_rev = await t3Token.transferData(await t3Token.latestTransferId(user1.address));
             let currentBlockTimestamp_rev = await time.latest();
             if (transferDataUser1_rev.commitWindowEnd > currentBlockTimestamp_rev) {
                 await time.increaseTo(transferDataUser1_rev.commitWindowEnd + BigInt(1));
@@ -517,12 +541,12 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
             
             expect(u2BalanceAfterTransfer).to.equal(u2BalanceBeforeTransfer + amountIntendedForRecipient);
 
-            await t3Token.connect(user1).reverseTransfer(user2.address, amountIntendedForRecipient);
+            await t3Token.connect(user1).reverseTransfer(await t3Token.latestTransferId(user2.address), amountIntendedForRecipient);
 
             expect(await t3Token.balanceOf(user1.address)).to.equal(u1BalanceAfterTransfer + amountIntendedForRecipient);
             expect(await t3Token.balanceOf(user2.address)).to.equal(u2BalanceBeforeTransfer);
 
-            const tdUser2 = await t3Token.transferData(user2.address);
+            const tdUser2 = await t3Token.transferData(await t3Token.latestTransferId(user2.address));
             expect(tdUser2.isReversed).to.be.true;
         });
 
@@ -535,14 +559,14 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
              if (user1BalExp < totalCostExp) {
                 await t3Token.connect(minter).mint(user1.address, totalCostExp - user1BalExp + ethers.parseUnits("1",18));
             }
-            let transferDataUser1_exp = await t3Token.transferData(user1.address);
+            let transferDataUser1_exp = await t3Token.transferData(await t3Token.latestTransferId(user1.address));
             let currentBlockTimestamp_exp = await time.latest();
             if (transferDataUser1_exp.commitWindowEnd > currentBlockTimestamp_exp) {
                 await time.increaseTo(transferDataUser1_exp.commitWindowEnd + BigInt(1));
             }
 
             await t3Token.connect(user1).transfer(user2.address, expiryTestAmount);
-            const transferMeta = await t3Token.transferData(user2.address); 
+            const transferMeta = await t3Token.transferData(await t3Token.latestTransferId(user2.address)); 
             
             const currentTimestamp = await time.latest();
             if (transferMeta.commitWindowEnd > currentTimestamp) {
@@ -554,7 +578,7 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
             const initialCreditsUser1 = await t3Token.getAvailableCredits(user1.address);
             const initialCreditsUser2 = await t3Token.getAvailableCredits(user2.address);
 
-            await t3Token.checkHalfLifeExpiry(user2.address);
+            await t3Token.checkHalfLifeExpiry(await t3Token.latestTransferId(user2.address));
 
             const finalCreditsUser1 = await t3Token.getAvailableCredits(user1.address);
             const finalCreditsUser2 = await t3Token.getAvailableCredits(user2.address);
@@ -573,7 +597,7 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
                  expect(finalCreditsUser1).to.equal(initialCreditsUser1);
                  expect(finalCreditsUser2).to.equal(initialCreditsUser2);
             }
-            const tdUser2AfterExpiry = await t3Token.transferData(user2.address);
+            const tdUser2AfterExpiry = await t3Token.transferData(await t3Token.latestTransferId(user2.address));
             expect(tdUser2AfterExpiry.commitWindowEnd).to.equal(ethers.toBigInt(0));
         });
 
@@ -586,7 +610,7 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
 
             await t3Token.connect(pauser).unpause();
             
-            let transferDataUser1 = await t3Token.transferData(user1.address);
+            let transferDataUser1 = await t3Token.transferData(await t3Token.latestTransferId(user1.address));
             let currentBlockTimestamp = await time.latest();
             if (transferDataUser1.commitWindowEnd > currentBlockTimestamp && 
                 transferDataUser1.originator !== user2.address && 
@@ -658,12 +682,12 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
                     }
                     await t3Token.connect(user).transfer(recipient.address, smallTx);
                 }
-                let transferData = await t3Token.transferData(recipient.address); 
+                let transferData = await t3Token.transferData(await t3Token.latestTransferId(recipient.address)); 
                 let currentTs = await time.latest();
                 if (transferData.commitWindowEnd > currentTs) {
                     await time.increaseTo(transferData.commitWindowEnd + BigInt(1));
                 }
-                transferData = await t3Token.transferData(user.address); 
+                transferData = await t3Token.transferData(await t3Token.latestTransferId(user.address)); 
                 currentTs = await time.latest();
                  if (transferData.commitWindowEnd > currentTs) {
                     await time.increaseTo(transferData.commitWindowEnd + BigInt(1));
@@ -686,6 +710,8 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
             const prefundAmount = ethers.parseUnits("10", 18);
             const user1BalBefore = await t3Token.balanceOf(user1.address);
             const treasuryBalBefore = await t3Token.balanceOf(treasury.address);
+            const escrow = await t3Token.PREFUND_ESCROW();
+            const escrowBalBefore = await t3Token.balanceOf(escrow);
             const prefundBalBefore = await t3Token.getPrefundedFeeBalance(user1.address);
 
             await expect(t3Token.connect(user1).prefundFees(prefundAmount))
@@ -693,7 +719,8 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
                 .withArgs(user1.address, prefundAmount);
 
             expect(await t3Token.balanceOf(user1.address)).to.equal(user1BalBefore - prefundAmount);
-            expect(await t3Token.balanceOf(treasury.address)).to.equal(treasuryBalBefore + prefundAmount);
+            expect(await t3Token.balanceOf(escrow)).to.equal(escrowBalBefore + prefundAmount);
+            expect(await t3Token.balanceOf(treasury.address)).to.equal(treasuryBalBefore);
             expect(await t3Token.getPrefundedFeeBalance(user1.address)).to.equal(prefundBalBefore + prefundAmount);
         });
          it("prefundFees: Should revert if pre-funding zero amount", async function() {
@@ -707,7 +734,8 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
             await t3Token.connect(user1).prefundFees(prefundAmount); 
 
             const user1BalBeforeWithdraw = await t3Token.balanceOf(user1.address);
-            const treasuryBalBeforeWithdraw = await t3Token.balanceOf(treasury.address);
+            const escrow = await t3Token.PREFUND_ESCROW();
+            const escrowBalBeforeWithdraw = await t3Token.balanceOf(escrow);
             const prefundBalBeforeWithdraw = await t3Token.getPrefundedFeeBalance(user1.address);
 
             await expect(t3Token.connect(user1).withdrawPrefundedFees(prefundAmount))
@@ -715,7 +743,7 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
                 .withArgs(user1.address, prefundAmount);
 
             expect(await t3Token.balanceOf(user1.address)).to.equal(user1BalBeforeWithdraw + prefundAmount);
-            expect(await t3Token.balanceOf(treasury.address)).to.equal(treasuryBalBeforeWithdraw - prefundAmount);
+            expect(await t3Token.balanceOf(escrow)).to.equal(escrowBalBeforeWithdraw - prefundAmount);
             expect(await t3Token.getPrefundedFeeBalance(user1.address)).to.equal(prefundBalBeforeWithdraw - prefundAmount);
         });
 
@@ -754,13 +782,13 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
             
             await expect(tx)
                 .to.emit(t3Token, "TransferWithFee")
-                .withArgs(user1.address, user2.address, amountToSend, feeToCoverByPrefund, 0, feeToCoverByPrefund, 0); 
+                .withArgs(user1.address, user2.address, amountToSend, feeToCoverByPrefund, 0, feeToCoverByPrefund, 0, 0); 
             await expect(tx).to.emit(t3Token, "PrefundedFeeUsed").withArgs(user1.address, feeToCoverByPrefund);
 
             expect(await t3Token.balanceOf(user1.address)).to.equal(u1Bal - amountToSend); 
             expect(await t3Token.balanceOf(user2.address)).to.equal(u2Bal + amountToSend);
             expect(await t3Token.getPrefundedFeeBalance(user1.address)).to.equal(u1Prefund - feeToCoverByPrefund);
-            expect(await t3Token.balanceOf(treasury.address)).to.equal(treasBal); 
+            expect(await t3Token.balanceOf(treasury.address)).to.equal(treasBal + feeToCoverByPrefund); 
         });
 
         it("Transfer: Fee partially by pre-fund, then by credits, then by balance", async function() {
@@ -789,7 +817,7 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
             }
             await t3Token.connect(user4).transfer(user1.address, setupTransferAmount); 
             
-            let transferDataUser1_setup = await t3Token.transferData(user1.address); 
+            let transferDataUser1_setup = await t3Token.transferData(await t3Token.latestTransferId(user1.address)); 
             let currentBlockTimestamp_setup = await time.latest();
             if (transferDataUser1_setup.commitWindowEnd > currentBlockTimestamp_setup) {
                 await time.increaseTo(transferDataUser1_setup.commitWindowEnd + BigInt(100)); 
@@ -832,7 +860,7 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
             
             expect(await t3Token.balanceOf(user1.address)).to.equal(u1Bal - amountToSend - feePaidFromBalanceActual);
             expect(await t3Token.balanceOf(user2.address)).to.equal(u2Bal + amountToSend);
-            expect(await t3Token.balanceOf(treasury.address)).to.equal(treasBal + feePaidFromBalanceActual); 
+            expect(await t3Token.balanceOf(treasury.address)).to.equal(treasBal + feePaidFromBalanceActual + feePaidFromPrefundActual); 
             expect(await t3Token.getPrefundedFeeBalance(user1.address)).to.equal(u1PrefundInitial - feePaidFromPrefundActual);
             
             const earnedSenderCredits = BigInt(actualTotalFeeInEvent.toString()) / BigInt(4);
@@ -915,12 +943,1900 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
     });
 
 
+    describe("T3Token KYC Enforcement", function() {
+        const amount = ethers.parseUnits("10", 18);
+
+        beforeEach(async function() {
+            await custodianRegistry.connect(admin).grantCustodianRole(custodian1.address);
+            await t3Token.connect(minter).mint(user1.address, ethers.parseUnits("100", 18));
+        });
+
+        it("Should allow admin to set the registry and policy", async function() {
+            await expect(t3Token.connect(admin).setKYCPolicy(1))
+                .to.be.revertedWith("KYC: Registry not set");
+            await expect(t3Token.connect(admin).setCustodianRegistry(await custodianRegistry.getAddress()))
+                .to.emit(t3Token, "CustodianRegistryUpdated")
+                .withArgs(await custodianRegistry.getAddress());
+            await expect(t3Token.connect(admin).setKYCPolicy(2))
+                .to.emit(t3Token, "KYCPolicyUpdated")
+                .withArgs(2);
+            expect(await t3Token.kycPolicy()).to.equal(2);
+            await expect(t3Token.connect(admin).setCustodianRegistry(ZERO_ADDRESS))
+                .to.be.revertedWith("KYC: Policy requires registry");
+            await expect(t3Token.connect(user1).setKYCPolicy(0))
+                .to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount");
+        });
+
+        it("RecipientOnly: Should block transfers and mints to wallets without valid KYC", async function() {
+            await t3Token.connect(admin).setCustodianRegistry(await custodianRegistry.getAddress());
+            await t3Token.connect(admin).setKYCPolicy(1);
+
+            await expect(t3Token.connect(user1).transfer(user2.address, amount))
+                .to.be.revertedWith("KYC: Recipient not valid");
+            await expect(t3Token.connect(minter).mint(user2.address, amount))
+                .to.be.revertedWith("KYC: Recipient not valid");
+
+            await custodianRegistry.connect(custodian1).registerCustodiedWallet(user2.address, await time.latest(), 0);
+            await expect(t3Token.connect(user1).transfer(user2.address, amount)).to.not.be.reverted;
+            await expect(t3Token.connect(minter).mint(user2.address, amount)).to.not.be.reverted;
+        });
+
+        it("BothParties: Should block senders whose KYC has expired", async function() {
+            await t3Token.connect(admin).setCustodianRegistry(await custodianRegistry.getAddress());
+            await t3Token.connect(admin).setKYCPolicy(2);
+            const now = await time.latest();
+            await custodianRegistry.connect(custodian1).registerCustodiedWallet(user1.address, now, now + 100);
+            await custodianRegistry.connect(custodian1).registerCustodiedWallet(user2.address, now, 0);
+
+            await expect(t3Token.connect(user1).transfer(user2.address, amount)).to.not.be.reverted;
+
+            await time.increase(200);
+            await expect(t3Token.connect(user1).transfer(user2.address, amount))
+                .to.be.revertedWith("KYC: Sender not valid");
+        });
+    });
+
+    describe("T3Token Per-Transfer HalfLife Ledger", function() {
+        const amountA = ethers.parseUnits("10", 18);
+        const amountB = ethers.parseUnits("20", 18);
+
+        beforeEach(async function() {
+            await t3Token.connect(minter).mint(user1.address, ethers.parseUnits("100", 18));
+            await t3Token.connect(minter).mint(user3.address, ethers.parseUnits("100", 18));
+        });
+
+        it("Should keep a separate record for each incoming transfer", async function() {
+            const idA = await getTransferId(t3Token, t3Token.connect(user1).transfer(user2.address, amountA));
+            const idB = await getTransferId(t3Token, t3Token.connect(user3).transfer(user2.address, amountB));
+            expect(idB).to.equal(idA + 1n);
+            expect(await t3Token.latestTransferId(user2.address)).to.equal(idB);
+
+            const metaA = await t3Token.transferData(idA);
+            const metaB = await t3Token.transferData(idB);
+            expect(metaA.originator).to.equal(user1.address);
+            expect(metaA.recipient).to.equal(user2.address);
+            expect(metaA.amount).to.equal(amountA);
+            expect(metaB.originator).to.equal(user3.address);
+            expect(metaB.amount).to.equal(amountB);
+        });
+
+        it("Should let the first originator reverse after a second payment arrives", async function() {
+            const idA = await getTransferId(t3Token, t3Token.connect(user1).transfer(user2.address, amountA));
+            const idB = await getTransferId(t3Token, t3Token.connect(user3).transfer(user2.address, amountB));
+
+            await expect(t3Token.connect(user3).reverseTransfer(idA, amountA))
+                .to.be.revertedWith("Reversal: Sender mismatch");
+            await expect(t3Token.connect(user1).reverseTransfer(idA, amountA))
+                .to.emit(t3Token, "TransferReversed")
+                .withArgs(idA, user1.address, user2.address, amountA);
+
+            expect((await t3Token.transferData(idA)).isReversed).to.be.true;
+            expect((await t3Token.transferData(idB)).isReversed).to.be.false;
+        });
+
+        it("Should expire each transfer independently and refund both originators", async function() {
+            const idA = await getTransferId(t3Token, t3Token.connect(user1).transfer(user2.address, amountA));
+            const idB = await getTransferId(t3Token, t3Token.connect(user3).transfer(user2.address, amountB));
+            const metaB = await t3Token.transferData(idB);
+            await time.increaseTo(metaB.commitWindowEnd + 1n);
+
+            const creditsUser3Before = await t3Token.getAvailableCredits(user3.address);
+            await expect(t3Token.checkHalfLifeExpiry(idA))
+                .to.emit(t3Token, "HalfLifeExpired");
+            expect((await t3Token.transferData(idB)).commitWindowEnd).to.equal(metaB.commitWindowEnd);
+
+            await t3Token.checkHalfLifeExpiry(idB);
+            expect(await t3Token.getAvailableCredits(user3.address))
+                .to.equal(creditsUser3Before + metaB.totalFeeAssessed / 8n / 2n);
+            await expect(t3Token.checkHalfLifeExpiry(idB))
+                .to.be.revertedWith("Expiry: No active transfer data");
+        });
+    });
+
+    describe("T3Token HalfLife Locked Balances", function() {
+        const lockedAmount = ethers.parseUnits("1", 18);
+
+        beforeEach(async function() {
+            await t3Token.connect(minter).mint(user1.address, ethers.parseUnits("100", 18));
+            await t3Token.connect(minter).mint(user2.address, ethers.parseUnits("1000", 18));
+        });
+
+        it("Should lock only the amount still inside the commit window", async function() {
+            const balanceBefore = await t3Token.balanceOf(user2.address);
+            await t3Token.connect(user1).transfer(user2.address, lockedAmount);
+
+            expect(await t3Token.lockedBalanceOf(user2.address)).to.equal(lockedAmount);
+            expect(await t3Token.spendableBalanceOf(user2.address)).to.equal(balanceBefore);
+
+            await expect(t3Token.connect(user2).transfer(user3.address, ethers.parseUnits("500", 18)))
+                .to.not.be.reverted;
+        });
+
+        it("Should reject spending that dips into locked funds until the window passes", async function() {
+            await t3Token.connect(user1).transfer(user2.address, lockedAmount);
+            const spendable = await t3Token.spendableBalanceOf(user2.address);
+
+            await expect(t3Token.connect(user2).transfer(user3.address, spendable))
+                .to.be.revertedWith("HalfLife: Amount exceeds spendable balance");
+            await expect(t3Token.connect(user2).burn(spendable + 1n))
+                .to.be.revertedWith("HalfLife: Amount exceeds spendable balance");
+
+            const meta = await t3Token.transferData(await t3Token.latestTransferId(user2.address));
+            await time.increaseTo(meta.commitWindowEnd);
+            expect(await t3Token.lockedBalanceOf(user2.address)).to.equal(0);
+            await expect(t3Token.connect(user2).transfer(user3.address, spendable)).to.not.be.reverted;
+        });
+
+        it("Should release the lock when the transfer is reversed", async function() {
+            await t3Token.connect(user1).transfer(user2.address, lockedAmount);
+            await t3Token.connect(user1).reverseTransfer(await t3Token.latestTransferId(user2.address), lockedAmount);
+            expect(await t3Token.lockedBalanceOf(user2.address)).to.equal(0);
+            expect(await t3Token.spendableBalanceOf(user2.address)).to.equal(await t3Token.balanceOf(user2.address));
+        });
+
+        it("Should keep the locked total in step with partial reversals and expiry", async function() {
+            const transferId = await getTransferId(t3Token, t3Token.connect(user1).transfer(user2.address, lockedAmount));
+            await t3Token.connect(user1).reverseTransfer(transferId, lockedAmount / 4n);
+            expect(await t3Token.lockedBalanceOf(user2.address)).to.equal(lockedAmount * 3n / 4n);
+            const balance = await t3Token.balanceOf(user2.address);
+            await expect(t3Token.connect(user2).burn(balance)).to.be.revertedWith("HalfLife: Amount exceeds spendable balance");
+
+            await time.increaseTo((await t3Token.transferData(transferId)).commitWindowEnd);
+            await t3Token.checkHalfLifeExpiry(transferId);
+            await expect(t3Token.connect(user2).burn(balance)).to.not.be.reverted;
+        });
+
+        it("Should not let a backlog of dust transfers raise the cost of spending", async function() {
+            const spendGas = async () => (await (await t3Token.connect(user2).transfer(user3.address, lockedAmount)).wait()).gasUsed;
+            const gasBefore = await spendGas();
+            for (let i = 0; i < 40; i++) {
+                await t3Token.connect(user1).transfer(user2.address, lockedAmount / 100n);
+            }
+            expect(await spendGas()).to.be.lte(gasBefore);
+
+            // Once expired, a spend that needs the dust unlocks a bounded number of entries per call
+            await time.increase(oneDayInSeconds);
+            const balance = await t3Token.balanceOf(user2.address);
+            await expect(t3Token.connect(user2).burn(balance)).to.be.revertedWith("HalfLife: Amount exceeds spendable balance");
+            await t3Token.connect(user3).releaseExpiredLocks(user2.address, 100);
+            await expect(t3Token.connect(user2).burn(balance)).to.not.be.reverted;
+        });
+    });
+
+    describe("T3Token Recipient-Initiated Returns", function() {
+        const amount = ethers.parseUnits("25", 18);
+        let transferId;
+
+        beforeEach(async function() {
+            await t3Token.connect(minter).mint(user1.address, ethers.parseUnits("100", 18));
+            transferId = await getTransferId(t3Token, t3Token.connect(user1).transfer(user2.address, amount));
+        });
+
+        it("Should return funds once the originator accepts the recipient's proposal", async function() {
+            await expect(t3Token.connect(user2).proposeReturn(transferId, amount))
+                .to.emit(t3Token, "ReturnProposed")
+                .withArgs(transferId, user2.address, amount);
+            expect(await t3Token.returnProposals(transferId)).to.equal(amount);
+
+            const user1Before = await t3Token.balanceOf(user1.address);
+            await expect(t3Token.connect(user1).acceptReturn(transferId))
+                .to.emit(t3Token, "ReturnAccepted")
+                .withArgs(transferId, user1.address, amount)
+                .and.to.emit(t3Token, "TransferReversed")
+                .withArgs(transferId, user1.address, user2.address, amount);
+
+            expect(await t3Token.balanceOf(user1.address)).to.equal(user1Before + amount);
+            expect(await t3Token.returnProposals(transferId)).to.equal(0);
+            expect((await t3Token.walletRiskProfiles(user2.address)).reversalCount).to.equal(0);
+        });
+
+        it("Should let the recipient's custodian propose the return", async function() {
+            await custodianRegistry.connect(admin).grantCustodianRole(custodian1.address);
+            await custodianRegistry.connect(custodian1).registerCustodiedWallet(user2.address, await time.latest(), 0);
+
+            await expect(t3Token.connect(custodian1).proposeReturn(transferId, amount))
+                .to.be.revertedWith("Return: Not recipient or custodian");
+            await t3Token.connect(admin).setCustodianRegistry(await custodianRegistry.getAddress());
+            await expect(t3Token.connect(custodian1).proposeReturn(transferId, amount))
+                .to.emit(t3Token, "ReturnProposed")
+                .withArgs(transferId, custodian1.address, amount);
+        });
+
+        it("Should reject invalid proposals and acceptances", async function() {
+            await expect(t3Token.connect(user3).proposeReturn(transferId, amount))
+                .to.be.revertedWith("Return: Not recipient or custodian");
+            await expect(t3Token.connect(user2).proposeReturn(transferId, amount + 1n))
+                .to.be.revertedWith("Return: Invalid amount");
+            await expect(t3Token.connect(user1).acceptReturn(transferId))
+                .to.be.revertedWith("Return: No pending proposal");
+
+            await t3Token.connect(user2).proposeReturn(transferId, amount);
+            await expect(t3Token.connect(user2).acceptReturn(transferId))
+                .to.be.revertedWith("Return: Caller is not originator");
+
+            const meta = await t3Token.transferData(transferId);
+            await time.increaseTo(meta.commitWindowEnd);
+            await expect(t3Token.connect(user2).proposeReturn(transferId, amount))
+                .to.be.revertedWith("Return: HalfLife expired");
+            await expect(t3Token.connect(user1).acceptReturn(transferId))
+                .to.be.revertedWith("Reversal: HalfLife expired");
+        });
+    });
+
+    describe("T3Token transferFrom Fee Allowance", function() {
+        const amount = ethers.parseUnits("100", 18);
+
+        beforeEach(async function() {
+            await t3Token.connect(minter).mint(user1.address, ethers.parseUnits("1000", 18));
+        });
+
+        it("Should not let a spender pull a balance-paid fee that was never approved", async function() {
+            await t3Token.connect(user1).approve(user3.address, amount);
+            await expect(t3Token.connect(user3).transferFrom(user1.address, user2.address, amount))
+                .to.be.revertedWithCustomError(t3Token, "ERC20InsufficientAllowance");
+        });
+
+        it("Should spend exactly the allowance reported by estimateTransferFromCost", async function() {
+            const [requiredAllowance, feePaidFromBalance] = await t3Token.estimateTransferFromCost(user1.address, user2.address, amount);
+            expect(feePaidFromBalance).to.be.gt(0);
+            expect(requiredAllowance).to.equal(amount + feePaidFromBalance);
+
+            await t3Token.connect(user1).approve(user3.address, requiredAllowance);
+            const user1Before = await t3Token.balanceOf(user1.address);
+            await t3Token.connect(user3).transferFrom(user1.address, user2.address, amount);
+
+            expect(await t3Token.allowance(user1.address, user3.address)).to.equal(0);
+            expect(await t3Token.balanceOf(user1.address)).to.equal(user1Before - requiredAllowance);
+        });
+
+        it("Should only require the amount when prefunded fees cover the fee", async function() {
+            await t3Token.connect(user1).prefundFees(ethers.parseUnits("10", 18));
+            const [requiredAllowance, feePaidFromBalance] = await t3Token.estimateTransferFromCost(user1.address, user2.address, amount);
+            expect(feePaidFromBalance).to.equal(0);
+            expect(requiredAllowance).to.equal(amount);
+
+            await t3Token.connect(user1).approve(user3.address, amount);
+            await t3Token.connect(user3).transferFrom(user1.address, user2.address, amount);
+            expect(await t3Token.allowance(user1.address, user3.address)).to.equal(0);
+        });
+    });
+
+    describe("Custodian Policies", function() {
+        const amount = ethers.parseUnits("100", 18);
+
+        beforeEach(async function() {
+            await custodianRegistry.connect(admin).grantCustodianRole(custodian1.address);
+            await custodianRegistry.connect(custodian1).registerCustodiedWallet(user2.address, await time.latest(), 0);
+            await t3Token.connect(admin).setCustodianRegistry(await custodianRegistry.getAddress());
+            await t3Token.connect(minter).mint(user1.address, ethers.parseUnits("1000", 18));
+        });
+
+        it("Should validate and store custodian policies", async function() {
+            await expect(custodianRegistry.connect(user1).setCustodianPolicy(custodian1.address, 60, 120, 5000, 5000))
+                .to.be.revertedWithCustomError(custodianRegistry, "AccessControlUnauthorizedAccount");
+            await expect(custodianRegistry.connect(admin).setCustodianPolicy(custodian2.address, 60, 120, 0, 0))
+                .to.be.revertedWith("Policy: Not a custodian");
+            await expect(custodianRegistry.connect(admin).setCustodianPolicy(custodian1.address, 121, 120, 0, 0))
+                .to.be.revertedWith("Policy: Min HalfLife exceeds max");
+            await expect(custodianRegistry.connect(admin).setCustodianPolicy(custodian1.address, 0, 0, 10001, 0))
+                .to.be.revertedWith("Policy: Discount exceeds 100%");
+            await expect(custodianRegistry.connect(admin).setCustodianPolicy(custodian1.address, 0, 0, 0, 5001))
+                .to.be.revertedWith("Policy: Credit share too high");
+
+            await expect(custodianRegistry.connect(admin).setCustodianPolicy(custodian1.address, 60, 120, 5000, 5000))
+                .to.emit(custodianRegistry, "CustodianPolicyUpdated")
+                .withArgs(custodian1.address, 60, 120, 5000, 5000);
+            const policy = await custodianRegistry.getTransferPolicy(user1.address, user2.address);
+            expect(policy.maxHalfLifeDuration).to.equal(120);
+            expect(policy.senderCreditShareBps).to.equal(0);
+            expect(policy.recipientCreditShareBps).to.equal(5000);
+
+            await custodianRegistry.connect(admin).revokeCustodianRole(custodian1.address);
+            expect((await custodianRegistry.getCustodianPolicy(custodian1.address)).feeDiscountBps).to.equal(0);
+        });
+
+        it("Should apply policy changes only after the registry's policy change delay", async function() {
+            const day = 24 * 60 * 60;
+            await expect(custodianRegistry.connect(user1).setPolicyChangeDelay(day))
+                .to.be.revertedWithCustomError(custodianRegistry, "AccessControlUnauthorizedAccount");
+            await expect(custodianRegistry.connect(admin).setPolicyChangeDelay(31 * day))
+                .to.be.revertedWith("Policy: Delay too long");
+            await custodianRegistry.connect(admin).setPolicyChangeDelay(day);
+            expect(await custodianRegistry.policyChangeDelay()).to.equal(day);
+
+            await custodianRegistry.connect(admin).setCustodianPolicy(custodian1.address, 0, 0, 5000, 0);
+            expect((await custodianRegistry.getCustodianPolicy(custodian1.address)).feeDiscountBps).to.equal(0);
+            const [pending, effectiveAt] = await custodianRegistry.getScheduledCustodianPolicy(custodian1.address);
+            expect(pending.feeDiscountBps).to.equal(5000);
+            await time.increaseTo(effectiveAt);
+            expect((await custodianRegistry.getCustodianPolicy(custodian1.address)).feeDiscountBps).to.equal(5000);
+
+            // Lowering the delay waits out the current one
+            await custodianRegistry.connect(admin).setPolicyChangeDelay(0);
+            expect(await custodianRegistry.policyChangeDelay()).to.equal(day);
+            await time.increase(day);
+            expect(await custodianRegistry.policyChangeDelay()).to.equal(0);
+        });
+
+        it("Should apply the recipient custodian's HalfLife bounds, discount and credit share", async function() {
+            const undiscounted = await t3Token.estimateTransferFeeDetails(user1.address, user2.address, amount);
+            await custodianRegistry.connect(admin).setCustodianPolicy(custodian1.address, 60, 120, 5000, 5000);
+            const discounted = await t3Token.estimateTransferFeeDetails(user1.address, user2.address, amount);
+            expect(discounted.totalFeeAssessed).to.be.lt(undiscounted.totalFeeAssessed);
+
+            const transferId = await getTransferId(t3Token, t3Token.connect(user1).transfer(user2.address, amount));
+            const meta = await t3Token.transferData(transferId);
+            expect(meta.halfLifeDuration).to.equal(120);
+            expect(meta.totalFeeAssessed).to.equal(discounted.totalFeeAssessed);
+            expect(await t3Token.getAvailableCredits(user2.address)).to.equal(meta.totalFeeAssessed / 2n);
+            expect(await t3Token.getAvailableCredits(user1.address)).to.equal(meta.totalFeeAssessed / 4n);
+        });
+
+        it("Should ignore the policy for wallets whose KYC has lapsed", async function() {
+            await custodianRegistry.connect(admin).setCustodianPolicy(custodian1.address, 60, 120, 5000, 5000);
+            await custodianRegistry.connect(custodian1).updateKYCStatus(user2.address, 1, 2);
+
+            const transferId = await getTransferId(t3Token, t3Token.connect(user1).transfer(user2.address, amount));
+            expect((await t3Token.transferData(transferId)).halfLifeDuration).to.be.gt(120);
+        });
+    });
+
+    describe("T3Token Parameter Timelock", function() {
+        const delay = 2 * 24 * 60 * 60;
+
+        beforeEach(async function() {
+            await expect(t3Token.connect(admin).setParameterChangeDelay(delay))
+                .to.emit(t3Token, "ParameterChangeDelayUpdated")
+                .withArgs(delay);
+        });
+
+        it("Should require scheduling once a delay is configured", async function() {
+            await expect(t3Token.connect(admin).setHalfLifeDuration(7200))
+                .to.be.revertedWith("Timelock: Change must be scheduled");
+            await expect(t3Token.connect(admin).setTreasuryAddress(user1.address))
+                .to.be.revertedWith("Timelock: Change must be scheduled");
+            await expect(t3Token.connect(user1).setHalfLifeDuration(7200))
+                .to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should execute a scheduled change only after its effective time", async function() {
+            const data = t3Token.interface.encodeFunctionData("setHalfLifeDuration", [7200]);
+            await expect(t3Token.connect(admin).scheduleParameterChange(data))
+                .to.emit(t3Token, "ParameterChangeScheduled")
+                .withArgs(1, data.slice(0, 10), data, (await time.latest()) + 1 + delay);
+
+            const [storedData, eta] = await t3Token.getScheduledChange(1);
+            expect(storedData).to.equal(data);
+            await expect(t3Token.connect(admin).executeParameterChange(1))
+                .to.be.revertedWith("Timelock: Change not yet effective");
+
+            await time.increaseTo(eta);
+            await expect(t3Token.connect(admin).executeParameterChange(1))
+                .to.emit(t3Token, "ParameterChangeExecuted")
+                .withArgs(1);
+            expect(await t3Token.halfLifeDuration()).to.equal(7200);
+            await expect(t3Token.connect(admin).executeParameterChange(1))
+                .to.be.revertedWith("Timelock: Unknown change");
+        });
+
+        it("Should let admins cancel a pending change", async function() {
+            const data = t3Token.interface.encodeFunctionData("setTreasuryAddress", [user1.address]);
+            await t3Token.connect(admin).scheduleParameterChange(data);
+            await expect(t3Token.connect(user1).cancelParameterChange(1))
+                .to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount");
+            await expect(t3Token.connect(admin).cancelParameterChange(1))
+                .to.emit(t3Token, "ParameterChangeCancelled")
+                .withArgs(1);
+
+            await time.increase(delay);
+            await expect(t3Token.connect(admin).executeParameterChange(1))
+                .to.be.revertedWith("Timelock: Unknown change");
+            expect(await t3Token.treasuryAddress()).to.equal(treasury.address);
+        });
+
+        it("Should put extension routes, upgrades and the custodian registry behind the timelock", async function() {
+            await expect(t3Token.connect(admin).setExtensionRoutes([]))
+                .to.be.revertedWith("Timelock: Change must be scheduled");
+            await expect(t3Token.connect(admin).setCustodianRegistry(await custodianRegistry.getAddress()))
+                .to.be.revertedWith("Timelock: Change must be scheduled");
+            await expect(upgrades.upgradeProxy(await t3Token.getAddress(), T3TokenFactory.connect(admin), { constructorArgs: t3TokenConstructorArgs, redeployImplementation: "always" }))
+                .to.be.revertedWith("Timelock: Change must be scheduled");
+        });
+
+        it("Should execute scheduled route changes and upgrades", async function() {
+            const selector = t3Token.interface.getFunction("getFeeTiers").selector;
+            const routeData = t3Token.interface.encodeFunctionData("setExtensionRoutes", [[{ extension: ZERO_ADDRESS, selectors: [selector] }]]);
+            await t3Token.connect(admin).scheduleParameterChange(routeData);
+
+            const newImplementation = await T3TokenFactory.deploy(...t3TokenConstructorArgs);
+            const upgradeData = t3Token.interface.encodeFunctionData("upgradeToAndCall", [await newImplementation.getAddress(), "0x"]);
+            await t3Token.connect(admin).scheduleParameterChange(upgradeData);
+
+            await time.increase(delay);
+            await t3Token.connect(admin).executeParameterChange(1);
+            await expect(t3Token.getFeeTiers()).to.be.revertedWith("Extension: Unknown function");
+            await t3Token.connect(admin).executeParameterChange(2);
+            expect(await upgrades.erc1967.getImplementationAddress(await t3Token.getAddress()))
+                .to.equal(await newImplementation.getAddress());
+        });
+
+        it("Should only schedule parameter setters", async function() {
+            const transferData = t3Token.interface.encodeFunctionData("transfer", [user1.address, 1]);
+            await expect(t3Token.connect(admin).scheduleParameterChange(transferData))
+                .to.be.revertedWith("Timelock: Not a parameter setter");
+            await expect(t3Token.connect(admin).scheduleParameterChange("0x"))
+                .to.be.revertedWith("Timelock: Not a parameter setter");
+        });
+
+        it("Should bubble up the setter's revert reason on execution", async function() {
+            const data = t3Token.interface.encodeFunctionData("setHalfLifeDuration", [1]);
+            await t3Token.connect(admin).scheduleParameterChange(data);
+            await time.increase(delay);
+            await expect(t3Token.connect(admin).executeParameterChange(1))
+                .to.be.revertedWith("Below minimum");
+        });
+    });
+
+    describe("T3Token Fee Schedule", function() {
+        const maxUint = ethers.MaxUint256;
+        const defaultParameters = {
+            minFeeWei: 10n ** 13n,
+            maxFeePercentBps: 1000,
+            baseRiskScalerBps: 1,
+            maxRiskScalerBps: 10000,
+            riskScalerTierMultiplier: 10
+        };
+
+        it("Should start with the launch tier schedule and bounds", async function() {
+            const tiers = await t3Token.getFeeTiers();
+            expect(tiers.length).to.equal(10);
+            expect(tiers[0].ceiling).to.equal(ethers.parseUnits("0.01", 18));
+            expect(tiers[9].ceiling).to.equal(maxUint);
+            const parameters = await t3Token.feeParameters();
+            expect(parameters.minFeeWei).to.equal(defaultParameters.minFeeWei);
+            expect(parameters.maxFeePercentBps).to.equal(1000);
+        });
+
+        it("Should price transfers from an updated schedule", async function() {
+            // Flat 0.5% on everything, 1% cap
+            const flatTiers = [{ ceiling: maxUint, rate: 50n * 1000n }];
+            await expect(t3Token.connect(admin).setFeeSchedule(flatTiers, { ...defaultParameters, maxFeePercentBps: 100 }))
+                .to.emit(t3Token, "FeeScheduleUpdated");
+
+            const amount = ethers.parseUnits("1000", 18);
+            const details = await t3Token.estimateTransferFeeDetails(admin.address, user1.address, amount);
+            expect(details.maxFeeBound).to.equal(amount / 100n);
+            expect(details.totalFeeAssessed).to.be.gte(amount / 200n);
+            expect(details.totalFeeAssessed).to.be.lte(amount / 100n);
+        });
+
+        it("Should validate the schedule and restrict it to admins", async function() {
+            const tiers = [{ ceiling: 100, rate: 1 }, { ceiling: maxUint, rate: 1 }];
+            await expect(t3Token.connect(user1).setFeeSchedule(tiers, defaultParameters))
+                .to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount");
+            await expect(t3Token.connect(admin).setFeeSchedule([], defaultParameters))
+                .to.be.revertedWith("Fee: Invalid tier count");
+            await expect(t3Token.connect(admin).setFeeSchedule([tiers[1], tiers[0]], defaultParameters))
+                .to.be.revertedWith("Fee: Tier ceilings must increase");
+            await expect(t3Token.connect(admin).setFeeSchedule([{ ceiling: maxUint, rate: 100000n * 1000n + 1n }], defaultParameters))
+                .to.be.revertedWith("Fee: Tier rate too high");
+            await expect(t3Token.connect(admin).setFeeSchedule([tiers[0]], defaultParameters))
+                .to.be.revertedWith("Fee: Last tier must be uncapped");
+            await expect(t3Token.connect(admin).setFeeSchedule(tiers, { ...defaultParameters, maxFeePercentBps: 10001 }))
+                .to.be.revertedWith("Fee: Invalid max fee");
+            await expect(t3Token.connect(admin).setFeeSchedule(tiers, { ...defaultParameters, baseRiskScalerBps: 20000 }))
+                .to.be.revertedWith("Fee: Invalid risk scaler bounds");
+            await expect(t3Token.connect(admin).setFeeSchedule(tiers, { ...defaultParameters, riskScalerTierMultiplier: 1 }))
+                .to.be.revertedWith("Fee: Invalid risk scaler multiplier");
+        });
+
+        it("Should upgrade and migrate a proxy deployed with the first release", async function() {
+            const T3TokenV1Factory = await ethers.getContractFactory("T3TokenV1", admin);
+            const v1Proxy = await upgrades.deployProxy(
+                T3TokenV1Factory,
+                ["T3 Legacy", "T3L", admin.address, treasury.address, ethers.parseUnits("1000", 18), 3600, 600, 86400, 30 * 86400],
+                { initializer: "initialize", kind: "uups" }
+            );
+            await v1Proxy.transfer(user1.address, ethers.parseUnits("100", 18));
+            const adminBalance = await v1Proxy.balanceOf(admin.address);
+
+            await upgrades.upgradeProxy(await v1Proxy.getAddress(), T3TokenFactory.connect(admin), { constructorArgs: t3TokenConstructorArgs });
+            const legacy = await attachT3Token(await v1Proxy.getAddress(), admin);
+            expect(await legacy.balanceOf(admin.address)).to.equal(adminBalance);
+            expect(await legacy.treasuryAddress()).to.equal(treasury.address);
+            expect(await legacy.halfLifeDuration()).to.equal(3600);
+            await expect(legacy.getFeeTiers()).to.be.revertedWith("Extension: Unknown function");
+
+            await expect(legacy.connect(user1).initializeV2(extensionRoutes))
+                .to.be.revertedWithCustomError(legacy, "AccessControlUnauthorizedAccount");
+            await legacy.initializeV2(extensionRoutes);
+            expect((await legacy.getFeeTiers()).length).to.equal(10);
+            expect((await legacy.getFeeTiers())[9].ceiling).to.equal(maxUint);
+            expect((await legacy.eip712Domain()).name).to.equal("T3 Legacy");
+            await expect(legacy.initializeV2(extensionRoutes)).to.be.revertedWithCustomError(legacy, "InvalidInitialization");
+
+            const transferId = await getTransferId(legacy, legacy.transfer(user2.address, ethers.parseUnits("10", 18)));
+            expect((await legacy.transferData(transferId)).recipient).to.equal(user2.address);
+        });
+
+        it("Should keep the current schedule when an already initialized proxy migrates", async function() {
+            const flatTiers = [{ ceiling: maxUint, rate: 50n * 1000n }];
+            await t3Token.connect(admin).setFeeSchedule(flatTiers, defaultParameters);
+            await t3Token.connect(admin).initializeV2(extensionRoutes);
+            expect((await t3Token.getFeeTiers()).length).to.equal(1);
+            expect((await t3Token.eip712Domain()).name).to.equal("T3 Stablecoin Test");
+        });
+    });
+
+    describe("T3Token Partial Reversals", function() {
+        const amount = ethers.parseUnits("25", 18);
+        let transferId;
+
+        beforeEach(async function() {
+            await t3Token.connect(minter).mint(user1.address, ethers.parseUnits("100", 18));
+            await t3Token.connect(minter).mint(user2.address, ethers.parseUnits("100", 18));
+            transferId = await getTransferId(t3Token, t3Token.connect(user1).transfer(user2.address, amount));
+        });
+
+        it("Should not reverse more than the original transfer amount", async function() {
+            await expect(t3Token.connect(user1).reverseTransfer(transferId, amount + 1n))
+                .to.be.revertedWith("Reversal: Amount exceeds original transfer");
+            await expect(t3Token.connect(user1).reverseTransfer(transferId, 0))
+                .to.be.revertedWith("Reversal: Amount must be positive");
+        });
+
+        it("Should keep the remainder of a partial reversal in the commit window", async function() {
+            const part = ethers.parseUnits("10", 18);
+            await expect(t3Token.connect(user1).reverseTransfer(transferId, part))
+                .to.emit(t3Token, "TransferReversed")
+                .withArgs(transferId, user1.address, user2.address, part);
+
+            let meta = await t3Token.transferData(transferId);
+            expect(meta.reversedAmount).to.equal(part);
+            expect(meta.isReversed).to.be.false;
+            expect(await t3Token.lockedBalanceOf(user2.address)).to.equal(amount - part);
+
+            await expect(t3Token.connect(user1).reverseTransfer(transferId, amount - part + 1n))
+                .to.be.revertedWith("Reversal: Amount exceeds original transfer");
+            await t3Token.connect(user1).reverseTransfer(transferId, amount - part);
+
+            meta = await t3Token.transferData(transferId);
+            expect(meta.reversedAmount).to.equal(amount);
+            expect(meta.isReversed).to.be.true;
+            expect(await t3Token.lockedBalanceOf(user2.address)).to.equal(0);
+        });
+
+        it("Should pro-rate the loyalty refund to the part that was not reversed", async function() {
+            const part = ethers.parseUnits("10", 18);
+            await t3Token.connect(user1).reverseTransfer(transferId, part);
+            const meta = await t3Token.transferData(transferId);
+            const refundPerParty = meta.totalFeeAssessed * (amount - part) / amount / 8n / 2n;
+
+            await time.increaseTo(meta.commitWindowEnd);
+            await expect(t3Token.checkHalfLifeExpiry(transferId))
+                .to.emit(t3Token, "LoyaltyRefundProcessed").withArgs(user1.address, refundPerParty)
+                .and.to.emit(t3Token, "LoyaltyRefundProcessed").withArgs(user2.address, refundPerParty);
+            expect(refundPerParty).to.be.lt(meta.totalFeeAssessed / 8n / 2n);
+        });
+    });
+
+    describe("T3Token Reversal Fee Policy", function() {
+        const amount = ethers.parseUnits("25", 18);
+        let transferId, fee;
+
+        beforeEach(async function() {
+            await t3Token.connect(minter).mint(user1.address, ethers.parseUnits("100", 18));
+            transferId = await getTransferId(t3Token, t3Token.connect(user1).transfer(user2.address, amount));
+            fee = (await t3Token.transferData(transferId)).totalFeeAssessed;
+        });
+
+        it("Should leave fees and credits untouched under the default policy", async function() {
+            const user1Before = await t3Token.balanceOf(user1.address);
+            await expect(t3Token.connect(user1).reverseTransfer(transferId, amount))
+                .to.emit(t3Token, "ReversalSettled")
+                .withArgs(transferId, 0, 0, 0);
+            expect(await t3Token.balanceOf(user1.address)).to.equal(user1Before + amount);
+            expect(await t3Token.getAvailableCredits(user2.address)).to.equal(fee / 4n);
+        });
+
+        it("Should refund the fee, claw back credits and charge the penalty on reversal", async function() {
+            await expect(t3Token.connect(admin).setReversalFeePolicy(10000, true, 100))
+                .to.emit(t3Token, "ReversalFeePolicyUpdated")
+                .withArgs(10000, true, 100);
+
+            const penalty = amount / 100n;
+            const user1Before = await t3Token.balanceOf(user1.address);
+            const treasuryBefore = await t3Token.balanceOf(treasury.address);
+            await expect(t3Token.connect(user1).reverseTransfer(transferId, amount))
+                .to.emit(t3Token, "ReversalSettled")
+                .withArgs(transferId, fee, 2n * (fee / 4n), penalty);
+
+            expect(await t3Token.balanceOf(user1.address)).to.equal(user1Before + amount + fee - penalty);
+            expect(await t3Token.balanceOf(treasury.address)).to.equal(treasuryBefore - fee + penalty);
+            expect(await t3Token.getAvailableCredits(user1.address)).to.equal(0);
+            expect(await t3Token.getAvailableCredits(user2.address)).to.equal(0);
+        });
+
+        it("Should settle agreed returns pro rata and without the penalty", async function() {
+            await t3Token.connect(admin).setReversalFeePolicy(5000, false, 100);
+            const half = amount / 2n;
+            await t3Token.connect(user2).proposeReturn(transferId, half);
+            await expect(t3Token.connect(user1).acceptReturn(transferId))
+                .to.emit(t3Token, "ReversalSettled")
+                .withArgs(transferId, (fee / 2n) / 2n, 0, 0);
+        });
+
+        it("Should claw back exactly the credits a custodian policy granted on the transfer", async function() {
+            await custodianRegistry.connect(admin).grantCustodianRole(custodian1.address);
+            await custodianRegistry.connect(custodian1).registerCustodiedWallet(user3.address, await time.latest(), 0);
+            await t3Token.connect(admin).setCustodianRegistry(await custodianRegistry.getAddress());
+            await custodianRegistry.connect(admin).setCustodianPolicy(custodian1.address, 0, 0, 0, 5000);
+
+            const id = await getTransferId(t3Token, t3Token.connect(user1).transfer(user3.address, amount));
+            const meta = await t3Token.transferData(id);
+            expect(meta.senderCredits).to.equal(meta.totalFeeAssessed / 4n);
+            expect(meta.recipientCredits).to.equal(meta.totalFeeAssessed / 2n);
+            expect(await t3Token.getAvailableCredits(user3.address)).to.equal(meta.recipientCredits);
+
+            await t3Token.connect(admin).setReversalFeePolicy(0, true, 0);
+            const half = amount / 2n;
+            await expect(t3Token.connect(user1).reverseTransfer(id, half))
+                .to.emit(t3Token, "ReversalSettled")
+                .withArgs(id, 0, meta.senderCredits / 2n + meta.recipientCredits / 2n, 0);
+            expect(await t3Token.getAvailableCredits(user3.address)).to.equal(meta.recipientCredits - meta.recipientCredits / 2n);
+        });
+
+        it("Should refund each party the share of the fee it paid", async function() {
+            await t3Token.connect(admin).setReversalFeePolicy(10000, false, 0);
+            await t3Token.connect(user2).setRecipientFeeShare(2500);
+            const id = await getTransferId(t3Token, t3Token.connect(user1).transfer(user2.address, amount));
+            const meta = await t3Token.transferData(id);
+            const recipientFee = meta.totalFeeAssessed * 2500n / 10000n;
+            expect(meta.recipientFeePaid).to.equal(recipientFee);
+
+            // The originator covered part of its share with the credits of the first transfer
+            const creditsUsed = meta.totalFeeAssessed - recipientFee - meta.originatorFeePaid;
+            expect(creditsUsed).to.equal(fee / 4n);
+
+            const user1Before = await t3Token.balanceOf(user1.address);
+            const user2Before = await t3Token.balanceOf(user2.address);
+            await expect(t3Token.connect(user1).reverseTransfer(id, meta.amount))
+                .to.emit(t3Token, "ReversalSettled")
+                .withArgs(id, meta.originatorFeePaid + recipientFee, 0, 0);
+            expect(await t3Token.balanceOf(user1.address)).to.equal(user1Before + meta.amount + meta.originatorFeePaid);
+            expect(await t3Token.balanceOf(user2.address)).to.equal(user2Before - meta.amount + recipientFee);
+        });
+
+        it("Should not turn credit-paid fees into tokens and should refund sponsors into their deposit", async function() {
+            await t3Token.connect(admin).setReversalFeePolicy(10000, false, 0);
+            await t3Token.connect(minter).mint(user2.address, ethers.parseUnits("10", 18));
+            const creditsOnly = await getTransferId(t3Token, t3Token.connect(user2).transfer(user3.address, ethers.parseUnits("0.01", 18)));
+            const creditMeta = await t3Token.transferData(creditsOnly);
+            expect(creditMeta.totalFeeAssessed).to.be.gt(0);
+            expect(creditMeta.originatorFeePaid).to.equal(0);
+            await expect(t3Token.connect(user2).reverseTransfer(creditsOnly, creditMeta.amount))
+                .to.emit(t3Token, "ReversalSettled").withArgs(creditsOnly, 0, 0, 0);
+
+            await t3Token.connect(minter).mint(user4.address, ethers.parseUnits("10", 18));
+            await t3Token.connect(user4).depositSponsorFunds(ethers.parseUnits("10", 18));
+            await t3Token.connect(user4).sponsorWallet(user5.address, ethers.parseUnits("10", 18));
+            await t3Token.connect(minter).mint(user5.address, ethers.parseUnits("100", 18));
+            const sponsored = await getTransferId(t3Token, t3Token.connect(user5).transfer(user1.address, amount));
+            const meta = await t3Token.transferData(sponsored);
+            expect(meta.feeSponsor).to.equal(user4.address);
+            expect(meta.sponsorFeePaid).to.equal(meta.totalFeeAssessed);
+
+            const depositBefore = await t3Token.sponsorFeeBalances(user4.address);
+            const user5Before = await t3Token.balanceOf(user5.address);
+            await t3Token.connect(user5).reverseTransfer(sponsored, amount);
+            expect(await t3Token.sponsorFeeBalances(user4.address)).to.equal(depositBefore + meta.totalFeeAssessed);
+            expect(await t3Token.balanceOf(user5.address)).to.equal(user5Before + amount);
+            expect(await t3Token.totalPrefundedFees()).to.equal(await t3Token.balanceOf(await t3Token.PREFUND_ESCROW()));
+        });
+
+        it("Should cap the refund at what a rotated treasury holds instead of blocking the reversal", async function() {
+            await t3Token.connect(admin).setReversalFeePolicy(10000, false, 0);
+            await t3Token.connect(admin).setTreasuryAddress(user4.address);
+            await expect(t3Token.connect(user1).reverseTransfer(transferId, amount))
+                .to.emit(t3Token, "ReversalSettled").withArgs(transferId, 0, 0, 0);
+        });
+
+        it("Should validate the policy and restrict it to admins", async function() {
+            await expect(t3Token.connect(user1).setReversalFeePolicy(0, false, 0))
+                .to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount");
+            await expect(t3Token.connect(admin).setReversalFeePolicy(10001, false, 0))
+                .to.be.revertedWith("Refund share exceeds 100%");
+            await expect(t3Token.connect(admin).setReversalFeePolicy(0, false, 1001))
+                .to.be.revertedWith("Penalty fee too high");
+        });
+    });
+
+    describe("T3Token Reversal Disputes", function() {
+        const amount = ethers.parseUnits("25", 18);
+        const disputeWindow = 3600;
+        let transferId, ARBITER_ROLE_T3;
+
+        beforeEach(async function() {
+            ARBITER_ROLE_T3 = await t3Token.ARBITER_ROLE();
+            await expect(t3Token.connect(admin).setDisputeWindow(disputeWindow))
+                .to.emit(t3Token, "DisputeWindowUpdated")
+                .withArgs(disputeWindow);
+            await t3Token.connect(minter).mint(user1.address, ethers.parseUnits("100", 18));
+            transferId = await getTransferId(t3Token, t3Token.connect(user1).transfer(user2.address, amount));
+        });
+
+        it("Should escrow a reversal and release it to the originator when uncontested", async function() {
+            const user1Before = await t3Token.balanceOf(user1.address);
+            await expect(t3Token.connect(user1).reverseTransfer(transferId, amount))
+                .to.emit(t3Token, "ReversalEscrowed")
+                .and.not.to.emit(t3Token, "TransferReversed");
+            expect(await t3Token.balanceOf(await t3Token.getAddress())).to.equal(amount);
+            expect((await t3Token.disputes(transferId)).status).to.equal(1); // Escrowed
+
+            await expect(t3Token.connect(user3).releaseReversal(transferId))
+                .to.be.revertedWith("Dispute: Contest window still open");
+            await time.increase(disputeWindow);
+            await expect(t3Token.connect(user2).contestReversal(transferId))
+                .to.be.revertedWith("Dispute: Contest window closed");
+
+            await expect(t3Token.connect(user3).releaseReversal(transferId))
+                .to.emit(t3Token, "TransferReversed")
+                .withArgs(transferId, user1.address, user2.address, amount);
+            expect(await t3Token.balanceOf(user1.address)).to.equal(user1Before + amount);
+            await expect(t3Token.connect(user3).releaseReversal(transferId))
+                .to.be.revertedWith("Dispute: Nothing to release");
+        });
+
+        it("Should let an arbiter rule for the recipient and count the loss against the originator", async function() {
+            await t3Token.connect(admin).grantRole(ARBITER_ROLE_T3, user5.address);
+            await t3Token.connect(user1).reverseTransfer(transferId, amount);
+            await expect(t3Token.connect(user2).contestReversal(transferId))
+                .to.emit(t3Token, "ReversalContested")
+                .withArgs(transferId, user2.address);
+
+            const riskBefore = await t3Token.calculateRiskFactor(user1.address);
+            const user2Before = await t3Token.balanceOf(user2.address);
+            await expect(t3Token.connect(user5).resolveDispute(transferId, true))
+                .to.emit(t3Token, "DisputeResolved")
+                .withArgs(transferId, user5.address, user2.address, amount);
+
+            expect(await t3Token.balanceOf(user2.address)).to.equal(user2Before + amount);
+            expect((await t3Token.walletRiskProfiles(user1.address)).disputesLost).to.equal(1);
+            expect((await t3Token.walletRiskProfiles(user2.address)).disputesLost).to.equal(0);
+            expect(await t3Token.calculateRiskFactor(user1.address)).to.equal(riskBefore + 2500n);
+        });
+
+        it("Should undo the reversal when the recipient wins and leave both risk profiles untouched", async function() {
+            await t3Token.connect(admin).grantRole(ARBITER_ROLE_T3, user5.address);
+            const recipientRisk = await t3Token.calculateRiskFactor(user2.address);
+            await t3Token.connect(user1).reverseTransfer(transferId, amount);
+            expect(await t3Token.lockedBalanceOf(user2.address)).to.equal(0);
+            expect((await t3Token.walletRiskProfiles(user1.address)).reversalCount).to.equal(0);
+            await t3Token.connect(user2).contestReversal(transferId);
+            await t3Token.connect(user5).resolveDispute(transferId, true);
+
+            const meta = await t3Token.transferData(transferId);
+            expect(meta.reversedAmount).to.equal(0);
+            expect(meta.isReversed).to.equal(false);
+            expect(await t3Token.lockedBalanceOf(user2.address)).to.equal(amount);
+            expect(await t3Token.calculateRiskFactor(user2.address)).to.equal(recipientRisk);
+            expect((await t3Token.walletRiskProfiles(user2.address)).reversalCount).to.equal(0);
+            expect((await t3Token.walletRiskProfiles(user1.address)).reversalCount).to.equal(0);
+
+            await time.increaseTo(meta.commitWindowEnd);
+            await expect(t3Token.checkHalfLifeExpiry(transferId))
+                .to.emit(t3Token, "LoyaltyRefundProcessed")
+                .and.to.emit(t3Token, "HalfLifeExpired");
+        });
+
+        it("Should count the reversal against both parties once escrow is released", async function() {
+            await t3Token.connect(user1).reverseTransfer(transferId, amount);
+            await time.increase(disputeWindow);
+            await t3Token.connect(user3).releaseReversal(transferId);
+            expect((await t3Token.walletRiskProfiles(user1.address)).reversalCount).to.equal(1);
+            expect((await t3Token.walletRiskProfiles(user2.address)).reversalCount).to.equal(1);
+        });
+
+        it("Should let the recipient's custodian rule for the originator", async function() {
+            await custodianRegistry.connect(admin).grantCustodianRole(custodian1.address);
+            await custodianRegistry.connect(custodian1).registerCustodiedWallet(user2.address, await time.latest(), 0);
+            await t3Token.connect(admin).setCustodianRegistry(await custodianRegistry.getAddress());
+
+            await t3Token.connect(user1).reverseTransfer(transferId, amount);
+            await t3Token.connect(user2).contestReversal(transferId);
+
+            const user1Before = await t3Token.balanceOf(user1.address);
+            await expect(t3Token.connect(custodian1).resolveDispute(transferId, false))
+                .to.emit(t3Token, "DisputeResolved")
+                .withArgs(transferId, custodian1.address, user1.address, amount)
+                .and.to.emit(t3Token, "TransferReversed");
+            expect(await t3Token.balanceOf(user1.address)).to.equal(user1Before + amount);
+            expect((await t3Token.walletRiskProfiles(user2.address)).disputesLost).to.equal(1);
+        });
+
+        it("Should accrue the interbank liability only when escrowed funds reach the originator", async function() {
+            await custodianRegistry.connect(admin).grantCustodianRole(custodian1.address);
+            await custodianRegistry.connect(admin).grantCustodianRole(custodian2.address);
+            await custodianRegistry.connect(custodian1).registerCustodiedWallet(user1.address, await time.latest(), 0);
+            await custodianRegistry.connect(custodian2).registerCustodiedWallet(user2.address, await time.latest(), 0);
+            await t3Token.connect(admin).setCustodianRegistry(await custodianRegistry.getAddress());
+
+            await expect(t3Token.connect(user1).reverseTransfer(transferId, amount))
+                .to.not.emit(t3Token, "InterbankLiabilityRecorded");
+            await t3Token.connect(user2).contestReversal(transferId);
+            await expect(t3Token.connect(custodian2).resolveDispute(transferId, false))
+                .to.emit(t3Token, "InterbankLiabilityRecorded").withArgs(custodian2.address, custodian1.address, amount);
+            expect(await t3Token.interbankLiability(custodian2.address, custodian1.address)).to.equal(amount);
+
+            const nextId = await getTransferId(t3Token, t3Token.connect(user1).transfer(user2.address, amount));
+            const liabilityBefore = await t3Token.interbankLiability(custodian1.address, custodian2.address);
+            await t3Token.connect(user1).reverseTransfer(nextId, amount);
+            await time.increase(disputeWindow);
+            await expect(t3Token.connect(user3).releaseReversal(nextId))
+                .to.emit(t3Token, "InterbankLiabilityRecorded").withArgs(custodian2.address, custodian1.address, amount);
+            expect(await t3Token.interbankLiability(custodian1.address, custodian2.address)).to.equal(liabilityBefore);
+        });
+
+        it("Should keep the transfer record from expiring while a reversal is escrowed or contested", async function() {
+            await t3Token.connect(user1).reverseTransfer(transferId, amount / 2n);
+            await t3Token.connect(user2).contestReversal(transferId);
+            await time.increaseTo((await t3Token.transferData(transferId)).commitWindowEnd);
+            await expect(t3Token.checkHalfLifeExpiry(transferId)).to.be.revertedWith("Expiry: Dispute still open");
+
+            await t3Token.connect(admin).grantRole(ARBITER_ROLE_T3, user5.address);
+            const user1Before = await t3Token.balanceOf(user1.address);
+            await t3Token.connect(user5).resolveDispute(transferId, false);
+            expect(await t3Token.balanceOf(user1.address)).to.be.gte(user1Before + amount / 2n);
+            await expect(t3Token.checkHalfLifeExpiry(transferId)).to.emit(t3Token, "HalfLifeExpired");
+        });
+
+        it("Should restrict who can contest and resolve", async function() {
+            await expect(t3Token.connect(user1).setDisputeWindow(0))
+                .to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount");
+            await t3Token.connect(user1).reverseTransfer(transferId, amount);
+
+            await expect(t3Token.connect(user1).contestReversal(transferId))
+                .to.be.revertedWith("Dispute: Caller is not recipient");
+            await expect(t3Token.connect(admin).resolveDispute(transferId, true))
+                .to.be.revertedWith("Dispute: Not arbiter or custodian");
+
+            await t3Token.connect(admin).grantRole(ARBITER_ROLE_T3, user5.address);
+            await expect(t3Token.connect(user5).resolveDispute(transferId, true))
+                .to.be.revertedWith("Dispute: Not contested");
+            await t3Token.connect(user2).contestReversal(transferId);
+            await expect(t3Token.connect(user2).contestReversal(transferId))
+                .to.be.revertedWith("Dispute: Reversal not contestable");
+        });
+    });
+
+    describe("T3Token Permit and Meta-Transactions", function() {
+        const amount = ethers.parseUnits("100", 18);
+
+        beforeEach(async function() {
+            await t3Token.connect(minter).mint(user1.address, ethers.parseUnits("1000", 18));
+        });
+
+        async function signRelayedTransfer(signer, recipient, value, relayer, relayerFee) {
+            const { chainId } = await ethers.provider.getNetwork();
+            const request = {
+                from: signer.address,
+                to: await t3Token.getAddress(),
+                value: 0n,
+                gas: 1_000_000n,
+                nonce: await t3Forwarder.nonces(signer.address),
+                deadline: (await time.latest()) + 3600,
+                data: t3Token.interface.encodeFunctionData("relayedTransfer", [recipient, value, relayer, relayerFee])
+            };
+            const signature = await signer.signTypedData(
+                { name: "T3Forwarder", version: "1", chainId, verifyingContract: await t3Forwarder.getAddress() },
+                {
+                    ForwardRequest: [
+                        { name: "from", type: "address" },
+                        { name: "to", type: "address" },
+                        { name: "value", type: "uint256" },
+                        { name: "gas", type: "uint256" },
+                        { name: "nonce", type: "uint256" },
+                        { name: "deadline", type: "uint48" },
+                        { name: "data", type: "bytes" }
+                    ]
+                },
+                request
+            );
+            const { nonce, ...requestData } = request;
+            return { ...requestData, signature };
+        }
+
+        it("Should set an allowance from an EIP-2612 permit signature", async function() {
+            const { chainId } = await ethers.provider.getNetwork();
+            const deadline = (await time.latest()) + 3600;
+            const signature = await user1.signTypedData(
+                { name: "T3 Stablecoin Test", version: "1", chainId, verifyingContract: await t3Token.getAddress() },
+                {
+                    Permit: [
+                        { name: "owner", type: "address" },
+                        { name: "spender", type: "address" },
+                        { name: "value", type: "uint256" },
+                        { name: "nonce", type: "uint256" },
+                        { name: "deadline", type: "uint256" }
+                    ]
+                },
+                { owner: user1.address, spender: user3.address, value: amount, nonce: 0, deadline }
+            );
+            const { v, r, s } = ethers.Signature.from(signature);
+
+            await t3Token.connect(user3).permit(user1.address, user3.address, amount, deadline, v, r, s);
+            expect(await t3Token.allowance(user1.address, user3.address)).to.equal(amount);
+            expect(await t3Token.nonces(user1.address)).to.equal(1);
+
+            await expect(t3Token.connect(user3).permit(user1.address, user3.address, amount, deadline, v, r, s))
+                .to.be.revertedWithCustomError(t3Token, "ERC2612InvalidSigner");
+        });
+
+        it("Should execute a signed transfer through the forwarder and reimburse the relayer", async function() {
+            const relayerFee = ethers.parseUnits("1", 18);
+            await t3Token.connect(user1).prefundFees(ethers.parseUnits("10", 18));
+            const prefundBefore = await t3Token.getPrefundedFeeBalance(user1.address);
+
+            const request = await signRelayedTransfer(user1, user2.address, amount, user4.address, relayerFee);
+            await expect(t3Forwarder.connect(user4).execute(request))
+                .to.emit(t3Token, "RelayerReimbursed").withArgs(user4.address, user1.address, relayerFee);
+
+            expect(await t3Token.balanceOf(user2.address)).to.equal(amount);
+            expect(await t3Token.balanceOf(user4.address)).to.equal(relayerFee);
+            const transferFee = (await t3Token.transferData(await t3Token.latestTransferId(user2.address))).totalFeeAssessed;
+            expect(await t3Token.getPrefundedFeeBalance(user1.address)).to.equal(prefundBefore - transferFee - relayerFee);
+        });
+
+        it("Should reject relayed transfers that bypass the forwarder or exceed the prefund", async function() {
+            await expect(t3Token.connect(user1).relayedTransfer(user2.address, amount, user4.address, 0))
+                .to.be.revertedWith("Relay: Caller is not the trusted forwarder");
+
+            // The forwarder does not bubble the token's revert reason
+            const request = await signRelayedTransfer(user1, user2.address, amount, user4.address, ethers.parseUnits("1", 18));
+            await expect(t3Forwarder.connect(user4).execute(request))
+                .to.be.revertedWithCustomError(t3Forwarder, "FailedCall");
+            expect(await t3Token.balanceOf(user2.address)).to.equal(0);
+        });
+    });
+
+    describe("T3Token Batch Transfers", function() {
+        const amount = ethers.parseUnits("100", 18);
+
+        beforeEach(async function() {
+            await t3Token.connect(minter).mint(user1.address, ethers.parseUnits("1000", 18));
+        });
+
+        it("Should pay every recipient and collect each item's fee", async function() {
+            await t3Token.connect(user1).prefundFees(ethers.parseUnits("10", 18));
+            const prefundBefore = await t3Token.getPrefundedFeeBalance(user1.address);
+            const recipients = [user2.address, user3.address, user4.address];
+            const amounts = [amount, amount * 2n, amount / 2n];
+
+            const tx = t3Token.connect(user1).batchTransfer(recipients, amounts, true);
+            await expect(tx).to.emit(t3Token, "BatchTransferItem").withArgs(user1.address, 1, user3.address, amounts[1], anyValue, anyValue);
+            const receipt = await (await tx).wait();
+            const events = receipt.logs
+                .map((log) => { try { return t3Token.interface.parseLog(log); } catch (e) { return null; } })
+                .filter((parsed) => parsed !== null);
+            expect(events.filter((event) => event.name === "PrefundedFeeUsed").length).to.equal(3);
+
+            const completed = events.find((event) => event.name === "BatchTransferCompleted");
+            expect(completed.args.successCount).to.equal(3);
+            expect(completed.args.totalAmount).to.equal(amounts[0] + amounts[1] + amounts[2]);
+            expect(completed.args.feePaidFromPrefund).to.equal(completed.args.totalFee);
+            expect(await t3Token.getPrefundedFeeBalance(user1.address)).to.equal(prefundBefore - completed.args.totalFee);
+
+            for (let i = 0; i < recipients.length; i++) {
+                expect(await t3Token.balanceOf(recipients[i])).to.equal(amounts[i]);
+                const meta = await t3Token.transferData(await t3Token.latestTransferId(recipients[i]));
+                expect(meta.originator).to.equal(user1.address);
+                expect(meta.amount).to.equal(amounts[i]);
+                // Paid from the prefund, so each item's whole fee is refundable to the sender
+                expect(meta.originatorFeePaid).to.equal(meta.totalFeeAssessed);
+            }
+        });
+
+        it("Should collect the batch fee before granting the items' credits", async function() {
+            const recipients = [user2.address, user3.address];
+            const receipt = await (await t3Token.connect(user1).batchTransfer(recipients, [amount, amount], true)).wait();
+            const completed = receipt.logs
+                .map((log) => { try { return t3Token.interface.parseLog(log); } catch (e) { return null; } })
+                .find((parsed) => parsed && parsed.name === "BatchTransferCompleted");
+            expect(completed.args.feePaidFromCredits).to.equal(0);
+            expect(completed.args.feePaidFromBalance).to.equal(completed.args.totalFee);
+
+            let granted = 0n;
+            for (const recipient of recipients) {
+                const meta = await t3Token.transferData(await t3Token.latestTransferId(recipient));
+                expect(meta.senderCredits).to.be.gt(0);
+                granted += meta.senderCredits;
+            }
+            expect(await t3Token.getAvailableCredits(user1.address)).to.equal(granted);
+        });
+
+        it("Should skip failing items in best-effort mode", async function() {
+            const recipients = [user2.address, ZERO_ADDRESS, user3.address];
+            const amounts = [amount, amount, 0];
+
+            await expect(t3Token.connect(user1).batchTransfer(recipients, amounts, false))
+                .to.emit(t3Token, "BatchTransferItemFailed").withArgs(user1.address, 1, ZERO_ADDRESS, amount, anyValue)
+                .and.to.emit(t3Token, "BatchTransferItemFailed").withArgs(user1.address, 2, user3.address, 0, anyValue)
+                .and.to.emit(t3Token, "BatchTransferCompleted").withArgs(user1.address, 3, 1, amount, anyValue, 0, anyValue, anyValue);
+
+            expect(await t3Token.balanceOf(user2.address)).to.equal(amount);
+            expect(await t3Token.balanceOf(user3.address)).to.equal(0);
+        });
+
+        it("Should skip an item whose fee the sender can no longer cover in best-effort mode", async function() {
+            const balance = ethers.parseUnits("50", 18);
+            const half = balance / 2n;
+            await t3Token.connect(minter).mint(user5.address, balance);
+
+            const tx = t3Token.connect(user5).batchTransfer([user2.address, user3.address], [half, half], false);
+            await expect(tx).to.emit(t3Token, "BatchTransferItemFailed").withArgs(user5.address, 1, user3.address, half, anyValue);
+            const receipt = await (await tx).wait();
+            const completed = receipt.logs
+                .map((log) => { try { return t3Token.interface.parseLog(log); } catch (e) { return null; } })
+                .find((parsed) => parsed && parsed.name === "BatchTransferCompleted");
+            expect(completed.args.successCount).to.equal(1);
+            expect(completed.args.totalFee).to.be.gt(0);
+            expect(completed.args.feePaidFromBalance).to.equal(completed.args.totalFee);
+
+            expect(await t3Token.balanceOf(user2.address)).to.equal(half);
+            expect(await t3Token.balanceOf(user3.address)).to.equal(0);
+            expect(await t3Token.balanceOf(user5.address)).to.equal(half - completed.args.totalFee);
+        });
+
+        it("Should revert the whole batch with the item's reason in atomic mode", async function() {
+            await expect(t3Token.connect(user1).batchTransfer([user2.address, ZERO_ADDRESS], [amount, amount], true))
+                .to.be.revertedWith("Transfer to zero address");
+            await expect(t3Token.connect(user1).batchTransfer([user2.address], [amount, amount], true))
+                .to.be.revertedWith("Batch: Length mismatch");
+            await expect(t3Token.connect(user1).executeBatchItem(user1.address, user2.address, amount))
+                .to.be.revertedWith("Batch: Caller is not the token");
+            expect(await t3Token.balanceOf(user2.address)).to.equal(0);
+        });
+    });
+
+    describe("T3Token Incentive Credit Decay", function() {
+        const amount = ethers.parseUnits("1000", 18);
+        let earnedCredits;
+
+        beforeEach(async function() {
+            await t3Token.connect(minter).mint(user1.address, ethers.parseUnits("10000", 18));
+            await t3Token.connect(user1).transfer(user2.address, amount);
+            earnedCredits = await t3Token.getAvailableCredits(user2.address);
+            expect(earnedCredits).to.be.gt(0);
+        });
+
+        it("Should keep credits forever while no decay policy is set", async function() {
+            await time.increase(365 * oneDayInSeconds);
+            expect(await t3Token.getAvailableCredits(user2.address)).to.equal(earnedCredits);
+        });
+
+        it("Should decay idle credits linearly after the delay, consistently across views and fee payment", async function() {
+            await t3Token.connect(admin).setCreditDecayPolicy(10 * oneDayInSeconds, 10 * oneDayInSeconds);
+            const lastUpdated = (await t3Token.incentiveCredits(user2.address)).lastUpdated;
+
+            await time.increaseTo(lastUpdated + BigInt(10 * oneDayInSeconds));
+            expect(await t3Token.getAvailableCredits(user2.address)).to.equal(earnedCredits);
+
+            await time.increaseTo(lastUpdated + BigInt(15 * oneDayInSeconds));
+            const halfDecayed = earnedCredits / 2n;
+            expect(await t3Token.getAvailableCredits(user2.address)).to.equal(halfDecayed);
+            const details = await t3Token.estimateTransferFeeDetails(user2.address, user3.address, ethers.parseUnits("10", 18));
+            expect(details.availableCredits).to.equal(halfDecayed);
+
+            await time.increaseTo(lastUpdated + BigInt(20 * oneDayInSeconds));
+            expect(await t3Token.getAvailableCredits(user2.address)).to.equal(0);
+            await expect(t3Token.connect(user2).transfer(user3.address, ethers.parseUnits("10", 18)))
+                .to.emit(t3Token, "IncentiveCreditsDecayed").withArgs(user2.address, earnedCredits)
+                .and.not.to.emit(t3Token, "IncentiveCreditUsed");
+        });
+
+        it("Should not restart the decay of held credits when new ones are earned", async function() {
+            await t3Token.connect(admin).setCreditDecayPolicy(10 * oneDayInSeconds, 10 * oneDayInSeconds);
+            const earnedAt = (await t3Token.incentiveCredits(user2.address)).lastUpdated;
+
+            await time.increaseTo(earnedAt + BigInt(15 * oneDayInSeconds));
+            await t3Token.connect(user1).transfer(user2.address, ethers.parseUnits("10", 18));
+            const newCredits = (await t3Token.transferData(await t3Token.latestTransferId(user2.address))).recipientCredits;
+            const afterEarning = await t3Token.getAvailableCredits(user2.address);
+            expect(afterEarning).to.be.closeTo(earnedCredits / 2n + newCredits, newCredits);
+
+            // The older credits still run out on their original schedule
+            await time.increaseTo(earnedAt + BigInt(20 * oneDayInSeconds));
+            expect(await t3Token.getAvailableCredits(user2.address)).to.be.lte(newCredits * 2n);
+        });
+
+        it("Should book only the decayed part when partly decayed credits are spent", async function() {
+            await t3Token.connect(admin).setCreditDecayPolicy(0, 10 * oneDayInSeconds);
+            const earnedAt = (await t3Token.incentiveCredits(user2.address)).lastUpdated;
+            await time.increaseTo(earnedAt + BigInt(5 * oneDayInSeconds));
+
+            const tx = t3Token.connect(user2).transfer(user3.address, ethers.parseUnits("1", 18));
+            const used = (await (await tx).wait()).logs
+                .map((log) => { try { return t3Token.interface.parseLog(log); } catch (e) { return null; } })
+                .find((parsed) => parsed && parsed.name === "IncentiveCreditUsed").args[1];
+            await expect(tx).to.emit(t3Token, "IncentiveCreditsDecayed").withArgs(user2.address, anyValue);
+            // Half of the balance had decayed, so spending `used` retires twice as much stored credit
+            const regranted = (await t3Token.transferData(await t3Token.latestTransferId(user3.address))).senderCredits;
+            expect((await t3Token.incentiveCredits(user2.address)).amount).to.be.closeTo(earnedCredits - 2n * used + regranted, earnedCredits / 10000n);
+        });
+
+        it("Should validate the decay policy and restrict it to admins", async function() {
+            await expect(t3Token.connect(user1).setCreditDecayPolicy(0, oneDayInSeconds))
+                .to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount");
+            await expect(t3Token.connect(admin).setCreditDecayPolicy(oneDayInSeconds, 0))
+                .to.be.revertedWith("Credits: Delay requires a decay period");
+            await expect(t3Token.connect(admin).setCreditDecayPolicy(0, oneDayInSeconds))
+                .to.emit(t3Token, "CreditDecayPolicyUpdated").withArgs(0, oneDayInSeconds);
+        });
+    });
+
+    describe("T3Token Prefund Escrow", function() {
+        beforeEach(async function() {
+            await t3Token.connect(minter).mint(user1.address, ethers.parseUnits("1000", 18));
+            await t3Token.connect(minter).mint(user2.address, ethers.parseUnits("1000", 18));
+        });
+
+        async function expectEscrowInvariant() {
+            const escrow = await t3Token.PREFUND_ESCROW();
+            expect(await t3Token.balanceOf(escrow)).to.equal(await t3Token.totalPrefundedFees());
+        }
+
+        it("Should hold prefunds in escrow and move fees to the treasury only when consumed", async function() {
+            await t3Token.connect(user1).prefundFees(ethers.parseUnits("10", 18));
+            await t3Token.connect(user2).prefundFees(ethers.parseUnits("5", 18));
+            expect(await t3Token.totalPrefundedFees()).to.equal(ethers.parseUnits("15", 18));
+            await expectEscrowInvariant();
+
+            const treasuryBefore = await t3Token.balanceOf(treasury.address);
+            await t3Token.connect(user1).transfer(user3.address, ethers.parseUnits("100", 18));
+            const fee = (await t3Token.transferData(await t3Token.latestTransferId(user3.address))).totalFeeAssessed;
+            expect(await t3Token.balanceOf(treasury.address)).to.equal(treasuryBefore + fee);
+            await expectEscrowInvariant();
+
+            await t3Token.connect(user2).withdrawPrefundedFees(ethers.parseUnits("5", 18));
+            await expectEscrowInvariant();
+        });
+
+        it("Should keep withdrawals working after the treasury is rotated", async function() {
+            await t3Token.connect(user1).prefundFees(ethers.parseUnits("10", 18));
+            expect(await t3Token.balanceOf(treasury.address)).to.equal(0);
+            await t3Token.connect(admin).setTreasuryAddress(user5.address);
+
+            const balanceBefore = await t3Token.balanceOf(user1.address);
+            await t3Token.connect(user1).withdrawPrefundedFees(ethers.parseUnits("10", 18));
+            expect(await t3Token.balanceOf(user1.address)).to.equal(balanceBefore + ethers.parseUnits("10", 18));
+            expect(await t3Token.totalPrefundedFees()).to.equal(0);
+            await expectEscrowInvariant();
+        });
+
+        it("Should not accept transfers or mints into the escrow", async function() {
+            const escrow = await t3Token.PREFUND_ESCROW();
+            await expect(t3Token.connect(user1).transfer(escrow, ethers.parseUnits("1", 18)))
+                .to.be.revertedWith("Transfer to prefund escrow");
+            await expect(t3Token.connect(minter).mint(escrow, ethers.parseUnits("1", 18)))
+                .to.be.revertedWith("Mint to prefund escrow");
+        });
+    });
+
+    describe("T3Token Fee Sponsorship", function() {
+        const amount = ethers.parseUnits("100", 18);
+        const deposit = ethers.parseUnits("50", 18);
+
+        beforeEach(async function() {
+            await t3Token.connect(minter).mint(user1.address, ethers.parseUnits("1000", 18));
+            await t3Token.connect(minter).mint(user4.address, ethers.parseUnits("1000", 18));
+            await t3Token.connect(minter).mint(custodian1.address, ethers.parseUnits("1000", 18));
+        });
+
+        it("Should pay a sponsored wallet's fees from the sponsor's deposit up to the cap", async function() {
+            const cap = ethers.parseUnits("1", 18);
+            await t3Token.connect(user4).depositSponsorFunds(deposit);
+            await expect(t3Token.connect(user4).sponsorWallet(user1.address, cap))
+                .to.emit(t3Token, "FeeSponsorshipUpdated").withArgs(user4.address, user1.address, cap);
+
+            const balanceBefore = await t3Token.balanceOf(user1.address);
+            const tx = t3Token.connect(user1).transfer(user2.address, amount);
+            await expect(tx).to.emit(t3Token, "SponsoredFeeUsed").withArgs(user4.address, user1.address, anyValue);
+            const fee = (await t3Token.transferData(await t3Token.latestTransferId(user2.address))).totalFeeAssessed;
+            expect(fee).to.be.gt(0);
+
+            expect(await t3Token.balanceOf(user1.address)).to.equal(balanceBefore - amount);
+            expect(await t3Token.sponsorFeeBalances(user4.address)).to.equal(deposit - fee);
+            expect((await t3Token.feeSponsorships(user1.address)).remaining).to.equal(cap - fee);
+            expect(await t3Token.getFeeSponsor(user1.address)).to.deep.equal([user4.address, cap - fee]);
+            expect(await t3Token.balanceOf(await t3Token.PREFUND_ESCROW())).to.equal(await t3Token.totalPrefundedFees());
+        });
+
+        it("Should let the sponsor revoke and withdraw unused funds, and keep other sponsors out", async function() {
+            await t3Token.connect(user4).depositSponsorFunds(deposit);
+            await t3Token.connect(user4).sponsorWallet(user1.address, deposit);
+            await t3Token.connect(minter).mint(user5.address, deposit);
+            await t3Token.connect(user5).depositSponsorFunds(deposit);
+            await expect(t3Token.connect(user5).sponsorWallet(user1.address, deposit))
+                .to.be.revertedWith("Sponsor: Wallet sponsored by another sponsor");
+
+            await t3Token.connect(user4).sponsorWallet(user1.address, 0);
+            expect(await t3Token.getFeeSponsor(user1.address)).to.deep.equal([ZERO_ADDRESS, 0]);
+            await expect(t3Token.connect(user1).transfer(user2.address, amount)).to.not.emit(t3Token, "SponsoredFeeUsed");
+
+            const balanceBefore = await t3Token.balanceOf(user4.address);
+            await expect(t3Token.connect(user4).withdrawSponsorFunds(deposit))
+                .to.emit(t3Token, "SponsorFundsWithdrawn").withArgs(user4.address, deposit);
+            expect(await t3Token.balanceOf(user4.address)).to.equal(balanceBefore + deposit);
+            await expect(t3Token.connect(user4).withdrawSponsorFunds(1))
+                .to.be.revertedWith("Sponsor: Insufficient sponsor balance");
+        });
+
+        it("Should let a custodian sponsor every wallet it custodies", async function() {
+            await custodianRegistry.connect(admin).grantCustodianRole(custodian1.address);
+            await custodianRegistry.connect(custodian1).registerCustodiedWallet(user1.address, await time.latest(), 0);
+            await expect(t3Token.connect(custodian1).setCustodianSponsorship(deposit))
+                .to.be.revertedWith("Sponsor: Caller is not a custodian");
+            await t3Token.connect(admin).setCustodianRegistry(await custodianRegistry.getAddress());
+            await expect(t3Token.connect(user4).setCustodianSponsorship(deposit))
+                .to.be.revertedWith("Sponsor: Caller is not a custodian");
+
+            await t3Token.connect(custodian1).depositSponsorFunds(deposit);
+            await expect(t3Token.connect(custodian1).setCustodianSponsorship(deposit))
+                .to.emit(t3Token, "CustodianSponsorshipUpdated").withArgs(custodian1.address, deposit);
+
+            await expect(t3Token.connect(user1).transfer(user2.address, amount))
+                .to.emit(t3Token, "SponsoredFeeUsed").withArgs(custodian1.address, user1.address, anyValue);
+            const fee = (await t3Token.transferData(await t3Token.latestTransferId(user2.address))).totalFeeAssessed;
+            expect(await t3Token.custodianSponsoredFees(custodian1.address, user1.address)).to.equal(fee);
+            await expect(t3Token.connect(user4).transfer(user2.address, amount)).to.not.emit(t3Token, "SponsoredFeeUsed");
+        });
+
+        it("Should require deposited funds to sponsor a wallet", async function() {
+            await expect(t3Token.connect(user5).sponsorWallet(user1.address, 1))
+                .to.be.revertedWith("Sponsor: No sponsor funds deposited");
+            await t3Token.connect(user4).depositSponsorFunds(deposit);
+            await expect(t3Token.connect(user4).sponsorWallet(user1.address, 1)).to.not.be.reverted;
+        });
+
+        it("Should fall through to the custodian and accept a new sponsor once the direct sponsor covers nothing", async function() {
+            await custodianRegistry.connect(admin).grantCustodianRole(custodian1.address);
+            await custodianRegistry.connect(custodian1).registerCustodiedWallet(user1.address, await time.latest(), 0);
+            await t3Token.connect(admin).setCustodianRegistry(await custodianRegistry.getAddress());
+            await t3Token.connect(custodian1).depositSponsorFunds(deposit);
+            await t3Token.connect(custodian1).setCustodianSponsorship(deposit);
+
+            await t3Token.connect(user4).depositSponsorFunds(deposit);
+            await t3Token.connect(user4).sponsorWallet(user1.address, deposit);
+            await t3Token.connect(user4).withdrawSponsorFunds(deposit);
+            expect(await t3Token.getFeeSponsor(user1.address)).to.deep.equal([custodian1.address, deposit]);
+            await expect(t3Token.connect(user1).transfer(user2.address, amount))
+                .to.emit(t3Token, "SponsoredFeeUsed").withArgs(custodian1.address, user1.address, anyValue);
+
+            await t3Token.connect(minter).mint(user5.address, deposit);
+            await t3Token.connect(user5).depositSponsorFunds(deposit);
+            await expect(t3Token.connect(user5).sponsorWallet(user1.address, deposit))
+                .to.emit(t3Token, "FeeSponsorshipUpdated").withArgs(user5.address, user1.address, deposit);
+        });
+    });
+
+    describe("T3Token Fee Bearer Modes", function() {
+        const amount = ethers.parseUnits("100", 18);
+
+        beforeEach(async function() {
+            await t3Token.connect(minter).mint(user1.address, ethers.parseUnits("1000", 18));
+        });
+
+        it("Should deduct the whole fee from the amount when the recipient pays", async function() {
+            await expect(t3Token.connect(user2).setRecipientFeeShare(10000))
+                .to.emit(t3Token, "RecipientFeeShareUpdated").withArgs(user2.address, 10000);
+
+            const estimate = await t3Token.estimateTransferFeeDetails(user1.address, user2.address, amount);
+            expect(estimate.feeBorneByRecipient).to.equal(estimate.totalFeeAssessed);
+            expect(estimate.feeAfterCredits).to.equal(0);
+
+            const senderBefore = await t3Token.balanceOf(user1.address);
+            const treasuryBefore = await t3Token.balanceOf(treasury.address);
+            const fee = estimate.totalFeeAssessed;
+            await expect(t3Token.connect(user1).transfer(user2.address, amount))
+                .to.emit(t3Token, "TransferWithFee")
+                .withArgs(user1.address, user2.address, amount - fee, fee, 0, 0, 0, fee);
+
+            expect(await t3Token.balanceOf(user1.address)).to.equal(senderBefore - amount);
+            expect(await t3Token.balanceOf(user2.address)).to.equal(amount - fee);
+            expect(await t3Token.balanceOf(treasury.address)).to.equal(treasuryBefore + fee);
+            expect((await t3Token.transferData(await t3Token.latestTransferId(user2.address))).amount).to.equal(amount - fee);
+        });
+
+        it("Should split the fee between sender and recipient as estimated", async function() {
+            await t3Token.connect(user2).setRecipientFeeShare(2500);
+            const estimate = await t3Token.estimateTransferFeeDetails(user1.address, user2.address, amount);
+            const recipientFee = estimate.totalFeeAssessed * 2500n / 10000n;
+            expect(estimate.feeBorneByRecipient).to.equal(recipientFee);
+            expect(estimate.netAmountToSendToRecipient).to.equal(amount - recipientFee);
+
+            const senderBefore = await t3Token.balanceOf(user1.address);
+            await expect(t3Token.connect(user1).transfer(user2.address, amount))
+                .to.emit(t3Token, "TransferWithFee")
+                .withArgs(user1.address, user2.address, estimate.netAmountToSendToRecipient, estimate.totalFeeAssessed,
+                    estimate.feeAfterCredits, 0, estimate.creditsToApply, recipientFee);
+            expect(await t3Token.balanceOf(user1.address)).to.equal(senderBefore - amount - estimate.feeAfterCredits);
+            expect(await t3Token.balanceOf(user2.address)).to.equal(estimate.netAmountToSendToRecipient);
+        });
+
+        it("Should default to the sender paying and reject shares above 100%", async function() {
+            expect(await t3Token.recipientFeeShareBps(user2.address)).to.equal(0);
+            const estimate = await t3Token.estimateTransferFeeDetails(user1.address, user2.address, amount);
+            expect(estimate.feeBorneByRecipient).to.equal(0);
+            expect(estimate.netAmountToSendToRecipient).to.equal(amount);
+            await expect(t3Token.connect(user2).setRecipientFeeShare(10001))
+                .to.be.revertedWith("Fee: Share exceeds 100%");
+        });
+    });
+
+    describe("T3Token Interbank Netting and Settlement", function() {
+        const amount = ethers.parseUnits("100", 18);
+
+        it("Should accrue liabilities between custodians as T3 moves and unwind them on reversal", async function() {
+            await custodianRegistry.connect(admin).grantCustodianRole(custodian1.address);
+            await custodianRegistry.connect(admin).grantCustodianRole(custodian2.address);
+            await custodianRegistry.connect(custodian1).registerCustodiedWallet(user1.address, await time.latest(), 0);
+            await custodianRegistry.connect(custodian2).registerCustodiedWallet(user2.address, await time.latest(), 0);
+            await t3Token.connect(admin).setCustodianRegistry(await custodianRegistry.getAddress());
+            await t3Token.connect(minter).mint(user1.address, ethers.parseUnits("1000", 18));
+
+            await expect(t3Token.connect(user1).transfer(user2.address, amount))
+                .to.emit(t3Token, "InterbankLiabilityRecorded").withArgs(custodian1.address, custodian2.address, amount);
+            expect(await t3Token.interbankLiability(custodian1.address, custodian2.address)).to.equal(amount);
+            await expect(t3Token.connect(user1).transfer(user3.address, amount)).to.not.emit(t3Token, "InterbankLiabilityRecorded");
+
+            const transferId = await t3Token.latestTransferId(user2.address);
+            await t3Token.connect(user1).reverseTransfer(transferId, amount);
+            expect(await t3Token.interbankLiability(custodian2.address, custodian1.address)).to.equal(amount);
+            expect(await t3Token.getInterbankNetPosition(custodian1.address)).to.equal(0);
+        });
+
+        it("Should net gross liabilities down to the minimal set of obligations", async function() {
+            await t3Token.connect(admin).recordInterbankLiability(user3.address, user4.address, amount);
+            await t3Token.connect(admin).recordInterbankLiability(user4.address, user5.address, amount);
+            await t3Token.connect(admin).recordInterbankLiability(user5.address, user3.address, amount / 2n);
+            expect(await t3Token.getInterbankNetPosition(user3.address)).to.equal(-(amount / 2n));
+
+            await expect(t3Token.connect(user3).runNettingCycle()).to.be.reverted;
+            await expect(t3Token.connect(admin).runNettingCycle())
+                .to.emit(t3Token, "InterbankNettingCompleted").withArgs(3, amount * 5n / 2n, amount / 2n);
+
+            expect(await t3Token.interbankLiability(user3.address, user5.address)).to.equal(amount / 2n);
+            expect(await t3Token.interbankLiability(user3.address, user4.address)).to.equal(0);
+            expect(await t3Token.interbankLiability(user4.address, user5.address)).to.equal(0);
+            expect(await t3Token.interbankLiability(user5.address, user3.address)).to.equal(0);
+            expect([...await t3Token.getInterbankParticipants()]).to.have.members([user3.address, user5.address]);
+            expect(await t3Token.getInterbankNetPosition(user5.address)).to.equal(amount / 2n);
+        });
+
+        it("Should settle a liability by moving tokens and clearing it atomically", async function() {
+            await t3Token.connect(minter).mint(user3.address, amount);
+            await t3Token.connect(admin).recordInterbankLiability(user3.address, user4.address, amount / 2n);
+            await expect(t3Token.connect(user3).settleInterbankLiability(user4.address, amount))
+                .to.be.revertedWith("Settlement: Amount exceeds outstanding liability");
+
+            await expect(t3Token.connect(user3).settleInterbankLiability(user4.address, amount / 2n))
+                .to.emit(t3Token, "InterbankLiabilitySettled").withArgs(user3.address, user4.address, amount / 2n);
+            expect(await t3Token.balanceOf(user4.address)).to.equal(amount / 2n);
+            expect(await t3Token.balanceOf(user3.address)).to.equal(amount / 2n);
+            expect(await t3Token.interbankLiability(user3.address, user4.address)).to.equal(0);
+        });
+    });
+
+    describe("T3Token Interbank Reconciliation Views", function() {
+        const amount = ethers.parseUnits("100", 18);
+
+        beforeEach(async function() {
+            await t3Token.connect(admin).recordInterbankLiability(user3.address, user4.address, amount);
+            await t3Token.connect(admin).recordInterbankLiability(user3.address, user5.address, amount * 2n);
+            await t3Token.connect(admin).recordInterbankLiability(user5.address, user4.address, amount / 2n);
+        });
+
+        it("Should track counterparties and gross totals per FI and system-wide", async function() {
+            const [creditors, debtors] = await t3Token.getInterbankCounterparties(user3.address);
+            expect([...creditors]).to.have.members([user4.address, user5.address]);
+            expect(debtors).to.be.empty;
+            expect(await t3Token.interbankPayable(user3.address)).to.equal(amount * 3n);
+            expect(await t3Token.interbankReceivable(user4.address)).to.equal(amount * 3n / 2n);
+            expect(await t3Token.totalInterbankLiability()).to.equal(amount * 7n / 2n);
+            expect(await t3Token.getInterbankNetPosition(user5.address)).to.equal(amount * 3n / 2n);
+        });
+
+        it("Should page through outstanding liabilities", async function() {
+            const [all, total] = await t3Token.getLiabilities(0, 10);
+            expect(total).to.equal(3);
+            expect(all.map((e) => [e.debtor, e.creditor, e.amount])).to.deep.include.members([
+                [user3.address, user4.address, amount],
+                [user3.address, user5.address, amount * 2n],
+                [user5.address, user4.address, amount / 2n],
+            ]);
+
+            const [page] = await t3Token.getLiabilities(1, 1);
+            expect(page.length).to.equal(1);
+            expect(page[0].debtor).to.equal(all[1].debtor);
+            expect(page[0].creditor).to.equal(all[1].creditor);
+            const [beyond, totalBeyond] = await t3Token.getLiabilities(5, ethers.MaxUint256);
+            expect(beyond).to.be.empty;
+            expect(totalBeyond).to.equal(3);
+        });
+
+        it("Should drop cleared liabilities and settled FIs from the views", async function() {
+            await t3Token.connect(admin).clearInterbankLiability(user3.address, user4.address, amount);
+            const [creditors] = await t3Token.getInterbankCounterparties(user3.address);
+            expect([...creditors]).to.deep.equal([user5.address]);
+            expect(await t3Token.totalInterbankLiability()).to.equal(amount * 5n / 2n);
+
+            await t3Token.connect(admin).clearInterbankLiability(user5.address, user4.address, amount / 2n);
+            expect([...await t3Token.getInterbankParticipants()]).to.have.members([user3.address, user5.address]);
+            expect(await t3Token.interbankReceivable(user4.address)).to.equal(0);
+            expect((await t3Token.getLiabilities(0, 10))[1]).to.equal(1);
+        });
+    });
+
+    describe("T3Token Issuance Controls", function() {
+        const amount = ethers.parseUnits("100", 18);
+
+        it("Should bound each minter by its cap and daily limit", async function() {
+            await t3Token.connect(admin).grantRole(MINTER_ROLE_T3, user4.address);
+            await expect(t3Token.connect(user4).mint(user1.address, 1)).to.be.revertedWith("Mint: Exceeds minter cap");
+
+            await expect(t3Token.connect(admin).setMinterAllowance(user4.address, amount, amount * 6n / 10n))
+                .to.emit(t3Token, "MinterAllowanceUpdated").withArgs(user4.address, amount, amount * 6n / 10n);
+            await t3Token.connect(user4).mint(user1.address, amount / 2n);
+            await expect(t3Token.connect(user4).mint(user1.address, amount / 5n))
+                .to.be.revertedWith("Mint: Exceeds minter daily limit");
+
+            await time.increase(24 * 60 * 60);
+            await t3Token.connect(user4).mint(user1.address, amount / 2n);
+            await expect(t3Token.connect(user4).mint(user1.address, 1)).to.be.revertedWith("Mint: Exceeds minter cap");
+            expect(await t3Token.mintedByMinter(user4.address)).to.equal(amount);
+        });
+
+        it("Should count the daily limit over a rolling 24 hours rather than a window that restarts", async function() {
+            const dailyLimit = amount / 2n;
+            await t3Token.connect(admin).grantRole(MINTER_ROLE_T3, user4.address);
+            await t3Token.connect(admin).setMinterAllowance(user4.address, amount * 10n, dailyLimit);
+
+            await t3Token.connect(user4).mint(user1.address, 1);
+            await time.increase(24 * 60 * 60 - 60);
+            await t3Token.connect(user4).mint(user1.address, dailyLimit - 1n);
+            // Past the point a window opened by the first mint would restart, the last mint still counts
+            await time.increase(120);
+            await expect(t3Token.connect(user4).mint(user1.address, dailyLimit))
+                .to.be.revertedWith("Mint: Exceeds minter daily limit");
+            await t3Token.connect(user4).mint(user1.address, 1);
+
+            await time.increase(24 * 60 * 60);
+            await t3Token.connect(user4).mint(user1.address, dailyLimit);
+        });
+
+        it("Should require a second approver for mints above the threshold", async function() {
+            await t3Token.connect(admin).setMintApprovalThreshold(amount);
+            await expect(t3Token.connect(minter).mint(user1.address, amount * 2n))
+                .to.be.revertedWith("Mint: Amount requires approval");
+
+            await expect(t3Token.connect(minter).requestMint(user1.address, amount * 2n))
+                .to.emit(t3Token, "MintRequested").withArgs(1, minter.address, user1.address, amount * 2n);
+            await expect(t3Token.connect(minter).approveMint(1)).to.be.revertedWith("Mint: Approver must differ from requester");
+            await expect(t3Token.connect(user2).approveMint(1)).to.be.revertedWith("Mint: Caller cannot approve");
+
+            await expect(t3Token.connect(admin).approveMint(1))
+                .to.emit(t3Token, "TokensMinted").withArgs(minter.address, user1.address, amount * 2n)
+                .and.to.emit(t3Token, "MintApproved").withArgs(1, admin.address);
+            expect(await t3Token.balanceOf(user1.address)).to.equal(amount * 2n);
+            await expect(t3Token.connect(admin).approveMint(1)).to.be.revertedWith("Mint: Unknown request");
+        });
+
+        it("Should let a burner redeem tokens returned to the issuing minter against its outstanding issuance", async function() {
+            await t3Token.connect(admin).setMinterAllowance(minter.address, amount, 0);
+            await t3Token.connect(minter).mint(minter.address, amount);
+            await expect(t3Token.connect(minter).mint(user1.address, 1)).to.be.revertedWith("Mint: Exceeds minter cap");
+
+            await t3Token.connect(admin).grantRole(BURNER_ROLE_T3, user5.address);
+            await expect(t3Token.connect(user5).redeem(minter.address, amount / 2n))
+                .to.be.revertedWithCustomError(t3Token, "ERC20InsufficientAllowance");
+            await t3Token.connect(minter).approve(user5.address, amount);
+            await expect(t3Token.connect(user4).redeem(minter.address, amount / 2n)).to.be.reverted;
+            await expect(t3Token.connect(user5).redeem(minter.address, amount / 2n))
+                .to.emit(t3Token, "TokensRedeemed").withArgs(user5.address, minter.address, amount / 2n);
+            expect(await t3Token.balanceOf(minter.address)).to.equal(amount / 2n);
+            expect(await t3Token.redeemedByMinter(minter.address)).to.equal(amount / 2n);
+
+            // Another minter's funds cannot free this minter's issuance, nor the other way round
+            await t3Token.connect(admin).grantRole(MINTER_ROLE_T3, user4.address);
+            await t3Token.connect(admin).setMinterAllowance(user4.address, amount, 0);
+            await t3Token.connect(user4).mint(user4.address, amount);
+            await t3Token.connect(user4).approve(user5.address, amount);
+            await t3Token.connect(user5).redeem(user4.address, amount);
+            await expect(t3Token.connect(user5).redeem(user4.address, 1))
+                .to.be.revertedWith("Redeem: Amount exceeds minter's outstanding issuance");
+            expect(await t3Token.redeemedByMinter(minter.address)).to.equal(amount / 2n);
+
+            // Redeemed issuance frees the minter's cap again
+            await t3Token.connect(minter).mint(user1.address, amount / 2n);
+        });
+    });
+
+    describe("T3Token Wallet Freezes", function() {
+        const amount = ethers.parseUnits("100", 18);
+        const caseReference = ethers.encodeBytes32String("CASE-2026-001");
+        let COMPLIANCE_ROLE;
+
+        beforeEach(async function() {
+            COMPLIANCE_ROLE = await t3Token.COMPLIANCE_ROLE();
+            await t3Token.connect(admin).grantRole(COMPLIANCE_ROLE, user5.address);
+            await t3Token.connect(minter).mint(user1.address, ethers.parseUnits("1000", 18));
+        });
+
+        it("Should block transfers, receipts, reversals and pre-funding for frozen wallets", async function() {
+            await t3Token.connect(minter).mint(user2.address, amount);
+            await t3Token.connect(user1).transfer(user2.address, amount);
+            const transferId = await t3Token.latestTransferId(user2.address);
+
+            await expect(t3Token.connect(user4).freezeWallet(user2.address)).to.be.reverted;
+            await expect(t3Token.connect(user5).freezeWallet(user2.address))
+                .to.emit(t3Token, "WalletFrozen").withArgs(user2.address, user5.address);
+
+            await expect(t3Token.connect(user1).transfer(user2.address, amount)).to.be.revertedWith("Compliance: Recipient frozen");
+            await expect(t3Token.connect(user2).transfer(user3.address, 1)).to.be.revertedWith("Compliance: Sender frozen");
+            await expect(t3Token.connect(user1).reverseTransfer(transferId, amount)).to.be.revertedWith("Compliance: Sender frozen");
+            await expect(t3Token.connect(user2).prefundFees(1)).to.be.revertedWith("Compliance: Sender frozen");
+
+            await expect(t3Token.connect(user5).unfreezeWallet(user2.address))
+                .to.emit(t3Token, "WalletUnfrozen").withArgs(user2.address, user5.address);
+            await t3Token.connect(user1).reverseTransfer(transferId, amount);
+        });
+
+        it("Should import a sanctions list in one call", async function() {
+            await t3Token.connect(user5).freezeWallet(user3.address);
+            await expect(t3Token.connect(user5).freezeWallets([user2.address, user3.address, user4.address]))
+                .to.emit(t3Token, "WalletFrozen").withArgs(user4.address, user5.address);
+            expect(await t3Token.frozenWallets(user2.address)).to.be.true;
+            expect(await t3Token.frozenWallets(user3.address)).to.be.true;
+            await expect(t3Token.connect(user5).freezeWallets([ZERO_ADDRESS]))
+                .to.be.revertedWith("Compliance: Wallet cannot be zero address");
+        });
+
+        it("Should seize from and wipe frozen wallets under a case reference", async function() {
+            await t3Token.connect(user1).prefundFees(amount / 10n);
+            await expect(t3Token.connect(user5).seize(user1.address, user3.address, amount, caseReference))
+                .to.be.revertedWith("Compliance: Wallet not frozen");
+            await t3Token.connect(user5).freezeWallet(user1.address);
+
+            await expect(t3Token.connect(user5).seize(user1.address, user3.address, amount, caseReference))
+                .to.emit(t3Token, "FundsSeized").withArgs(user1.address, user3.address, amount, caseReference);
+            expect(await t3Token.balanceOf(user3.address)).to.equal(amount);
+            expect((await t3Token.getWalletStats(user3.address)).firstSeen).to.equal(await time.latest());
+
+            const remaining = await t3Token.balanceOf(user1.address);
+            const supplyBefore = await t3Token.totalSupply();
+            await expect(t3Token.connect(user5).wipeFrozen(user1.address, caseReference))
+                .to.emit(t3Token, "FrozenFundsWiped").withArgs(user1.address, remaining, amount / 10n, caseReference);
+            expect(await t3Token.balanceOf(user1.address)).to.equal(0);
+            expect(await t3Token.prefundedFeeBalances(user1.address)).to.equal(0);
+            expect(await t3Token.totalSupply()).to.equal(supplyBefore - remaining - amount / 10n);
+            expect(await t3Token.balanceOf(await t3Token.PREFUND_ESCROW())).to.equal(await t3Token.totalPrefundedFees());
+        });
+
+        it("Should stop a frozen sponsor paying fees and burn its deposit when wiped", async function() {
+            await t3Token.connect(minter).mint(user4.address, amount);
+            await t3Token.connect(user4).depositSponsorFunds(amount / 10n);
+            await t3Token.connect(user4).sponsorWallet(user1.address, amount / 10n);
+            await t3Token.connect(user5).freezeWallet(user4.address);
+
+            expect(await t3Token.getFeeSponsor(user1.address)).to.deep.equal([user4.address, 0]);
+            await expect(t3Token.connect(user1).transfer(user2.address, amount)).to.not.emit(t3Token, "SponsoredFeeUsed");
+            expect(await t3Token.sponsorFeeBalances(user4.address)).to.equal(amount / 10n);
+
+            const remaining = await t3Token.balanceOf(user4.address);
+            await expect(t3Token.connect(user5).wipeFrozen(user4.address, caseReference))
+                .to.emit(t3Token, "FrozenFundsWiped").withArgs(user4.address, remaining, amount / 10n, caseReference);
+            expect(await t3Token.sponsorFeeBalances(user4.address)).to.equal(0);
+            expect(await t3Token.balanceOf(await t3Token.PREFUND_ESCROW())).to.equal(await t3Token.totalPrefundedFees());
+        });
+    });
+
+    describe("T3Token Velocity Limits", function() {
+        const amount = ethers.parseUnits("100", 18);
+        const noLimits = { newWalletDailyLimit: 0, unverifiedDailyLimit: 0, verifiedDailyLimit: 0, highRiskThreshold: 0, highRiskDailyLimit: 0 };
+        let COMPLIANCE_ROLE;
+
+        beforeEach(async function() {
+            COMPLIANCE_ROLE = await t3Token.COMPLIANCE_ROLE();
+            await t3Token.connect(admin).grantRole(COMPLIANCE_ROLE, user5.address);
+            await t3Token.connect(minter).mint(user1.address, ethers.parseUnits("1000", 18));
+            await t3Token.connect(minter).mint(user2.address, ethers.parseUnits("1000", 18));
+        });
+
+        it("Should cap new wallets until they are 7 days old", async function() {
+            await expect(t3Token.connect(admin).setVelocityLimits({ ...noLimits, newWalletDailyLimit: amount * 3n / 2n }))
+                .to.emit(t3Token, "VelocityLimitsUpdated");
+            await t3Token.connect(user1).transfer(user3.address, amount);
+            expect((await t3Token.getRemainingVelocityAllowance(user1.address))[0]).to.equal(amount / 2n);
+            await expect(t3Token.connect(user1).transfer(user3.address, amount))
+                .to.be.revertedWith("Velocity: Wallet daily limit exceeded");
+
+            await time.increase(7 * 24 * 60 * 60);
+            expect((await t3Token.getRemainingVelocityAllowance(user1.address))[0]).to.equal(ethers.MaxUint256);
+            await t3Token.connect(user1).transfer(user3.address, amount);
+        });
+
+        it("Should tier limits by KYC status and risk factor", async function() {
+            await time.increase(7 * 24 * 60 * 60);
+            await t3Token.connect(admin).setVelocityLimits({ ...noLimits, unverifiedDailyLimit: amount / 2n, verifiedDailyLimit: amount * 5n });
+            await expect(t3Token.connect(user1).transfer(user3.address, amount))
+                .to.be.revertedWith("Velocity: Wallet daily limit exceeded");
+
+            await custodianRegistry.connect(admin).grantCustodianRole(custodian1.address);
+            await custodianRegistry.connect(custodian1).registerCustodiedWallet(user1.address, await time.latest(), 0);
+            await t3Token.connect(admin).setCustodianRegistry(await custodianRegistry.getAddress());
+            await t3Token.connect(user1).transfer(user3.address, amount);
+
+            await t3Token.connect(admin).flagAbnormalTransaction(user1.address);
+            const riskFactor = await t3Token.calculateRiskFactor(user1.address);
+            await t3Token.connect(admin).setVelocityLimits({
+                ...noLimits, unverifiedDailyLimit: amount / 2n, verifiedDailyLimit: amount * 5n,
+                highRiskThreshold: riskFactor, highRiskDailyLimit: amount * 6n / 5n
+            });
+            expect((await t3Token.getRemainingVelocityAllowance(user1.address))[0]).to.equal(amount / 5n);
+            await expect(t3Token.connect(user1).transfer(user3.address, amount / 2n))
+                .to.be.revertedWith("Velocity: Wallet daily limit exceeded");
+        });
+
+        it("Should apply per-wallet overrides and cap a custodian's combined outflow", async function() {
+            await t3Token.connect(admin).setVelocityLimits({ ...noLimits, newWalletDailyLimit: amount / 2n });
+            await expect(t3Token.connect(user4).setWalletVelocityLimit(user1.address, amount * 10n)).to.be.reverted;
+            await expect(t3Token.connect(user5).setWalletVelocityLimit(user1.address, amount * 10n))
+                .to.emit(t3Token, "WalletVelocityLimitUpdated").withArgs(user1.address, amount * 10n);
+            await t3Token.connect(user1).transfer(user3.address, amount);
+
+            await custodianRegistry.connect(admin).grantCustodianRole(custodian1.address);
+            await custodianRegistry.connect(custodian1).registerCustodiedWallet(user1.address, await time.latest(), 0);
+            await custodianRegistry.connect(custodian1).registerCustodiedWallet(user2.address, await time.latest(), 0);
+            await t3Token.connect(admin).setCustodianRegistry(await custodianRegistry.getAddress());
+            await t3Token.connect(user5).setWalletVelocityLimit(user2.address, amount * 10n);
+            await expect(t3Token.connect(user5).setCustodianVelocityLimit(custodian1.address, amount * 3n / 2n))
+                .to.emit(t3Token, "CustodianVelocityLimitUpdated").withArgs(custodian1.address, amount * 3n / 2n);
+
+            await t3Token.connect(user1).transfer(user3.address, amount);
+            expect((await t3Token.getRemainingVelocityAllowance(user2.address))[1]).to.equal(amount / 2n);
+            await expect(t3Token.connect(user2).transfer(user3.address, amount))
+                .to.be.revertedWith("Velocity: Custodian daily limit exceeded");
+        });
+    });
+
+    describe("T3Token Risk Profile Management", function() {
+        const reasonCode = ethers.encodeBytes32String("FALSE_POSITIVE");
+        const thirtyDays = 30 * 24 * 60 * 60;
+
+        it("Should announce risk factor changes and let an admin withdraw a false flag", async function() {
+            await expect(t3Token.connect(admin).flagAbnormalTransaction(user3.address))
+                .to.emit(t3Token, "RiskFactorUpdated").withArgs(user3.address, 10000 + 5000 + 500);
+            await expect(t3Token.connect(admin).unflagAbnormalTransaction(user3.address, reasonCode))
+                .to.emit(t3Token, "RiskProfileAdjusted").withArgs(user3.address, admin.address, reasonCode)
+                .and.to.emit(t3Token, "RiskFactorUpdated").withArgs(user3.address, 10000 + 5000);
+            expect(await t3Token.reportedRiskFactor(user3.address)).to.equal(10000 + 5000);
+
+            await expect(t3Token.connect(admin).unflagAbnormalTransaction(user3.address, reasonCode))
+                .to.be.revertedWith("Risk: No abnormal flags");
+            await expect(t3Token.connect(user3).unflagAbnormalTransaction(user3.address, reasonCode)).to.be.reverted;
+        });
+
+        it("Should forgive one flag per decay period without incidents", async function() {
+            await t3Token.connect(admin).setRiskDecayPeriod(thirtyDays);
+            await t3Token.connect(admin).flagAbnormalTransaction(user3.address);
+            await t3Token.connect(admin).flagAbnormalTransaction(user3.address);
+            await time.increase(8 * 24 * 60 * 60);
+            expect(await t3Token.calculateRiskFactor(user3.address)).to.equal(10000 + 1000);
+
+            await time.increase(thirtyDays - 8 * 24 * 60 * 60);
+            expect(await t3Token.calculateRiskFactor(user3.address)).to.equal(10000 + 500);
+
+            // A new incident books the decay so far and restarts the clock
+            await expect(t3Token.connect(admin).flagAbnormalTransaction(user3.address))
+                .to.emit(t3Token, "RiskFactorUpdated").withArgs(user3.address, 10000 + 1000);
+            await time.increase(thirtyDays * 2);
+            expect(await t3Token.calculateRiskFactor(user3.address)).to.equal(10000);
+        });
+
+        it("Should reset a profile's history with a reason code", async function() {
+            await t3Token.connect(admin).flagAbnormalTransaction(user3.address);
+            await time.increase(8 * 24 * 60 * 60);
+            await t3Token.connect(admin).flagAbnormalTransaction(user3.address);
+
+            await expect(t3Token.connect(admin).resetRiskProfile(user3.address, reasonCode))
+                .to.emit(t3Token, "RiskProfileAdjusted").withArgs(user3.address, admin.address, reasonCode)
+                .and.to.emit(t3Token, "RiskFactorUpdated").withArgs(user3.address, 10000);
+            const profile = await t3Token.walletRiskProfiles(user3.address);
+            expect(profile.abnormalTxCount).to.equal(0);
+            expect(profile.creationTime).to.be.gt(0);
+        });
+    });
+
+    describe("T3Token Risk Oracle", function() {
+        const oneHour = 60 * 60;
+        let riskOracle;
+
+        beforeEach(async function() {
+            const MockRiskOracleFactory = await ethers.getContractFactory("MockRiskOracle");
+            riskOracle = await MockRiskOracleFactory.deploy();
+            await riskOracle.waitForDeployment();
+        });
+
+        it("Should blend a fresh oracle score with the on-chain heuristics", async function() {
+            await riskOracle.setRiskScore(user3.address, 50000);
+            const heuristicFactor = await t3Token.calculateRiskFactor(user3.address);
+            await expect(t3Token.connect(admin).setRiskOracle(await riskOracle.getAddress(), 2500, oneHour))
+                .to.emit(t3Token, "RiskOracleUpdated").withArgs(await riskOracle.getAddress(), 2500, oneHour);
+
+            expect(await t3Token.calculateRiskFactor(user3.address)).to.equal((heuristicFactor * 7500n + 50000n * 2500n) / 10000n);
+
+            // Scores above what the heuristics can produce are clamped
+            await riskOracle.setRiskScore(user3.address, ethers.MaxUint256);
+            expect(await t3Token.calculateRiskFactor(user3.address)).to.equal((heuristicFactor * 7500n + 125000n * 2500n) / 10000n);
+        });
+
+        it("Should fall back to the heuristics when the score is stale or the oracle fails", async function() {
+            await t3Token.connect(minter).mint(user1.address, ethers.parseUnits("1000", 18));
+            const heuristicFactor = await t3Token.calculateRiskFactor(user1.address);
+            await riskOracle.setRiskScore(user1.address, 50000);
+            await t3Token.connect(admin).setRiskOracle(await riskOracle.getAddress(), 5000, oneHour);
+            expect(await t3Token.calculateRiskFactor(user1.address)).to.be.gt(heuristicFactor);
+
+            await riskOracle.setShouldRevert(true);
+            expect(await t3Token.calculateRiskFactor(user1.address)).to.equal(heuristicFactor);
+            await t3Token.connect(user1).transfer(user2.address, ethers.parseUnits("10", 18));
+
+            await riskOracle.setShouldRevert(false);
+            await riskOracle.setReturnsMalformedData(true);
+            expect(await t3Token.calculateRiskFactor(user1.address)).to.equal(heuristicFactor);
+            await t3Token.connect(user1).transfer(user2.address, ethers.parseUnits("10", 18));
+
+            await riskOracle.setReturnsMalformedData(false);
+            await time.increase(oneHour + 1);
+            expect(await t3Token.calculateRiskFactor(user1.address)).to.equal(heuristicFactor);
+        });
+
+        it("Should validate the oracle settings and allow turning the oracle off", async function() {
+            const oracleAddress = await riskOracle.getAddress();
+            await expect(t3Token.connect(user1).setRiskOracle(oracleAddress, 2500, oneHour)).to.be.reverted;
+            await expect(t3Token.connect(admin).setRiskOracle(oracleAddress, 10001, oneHour))
+                .to.be.revertedWith("Risk: Weight exceeds 100%");
+            await expect(t3Token.connect(admin).setRiskOracle(oracleAddress, 2500, 0))
+                .to.be.revertedWith("Risk: Staleness bound required");
+            await expect(t3Token.connect(admin).setRiskOracle(user4.address, 2500, oneHour))
+                .to.be.revertedWith("Risk: Oracle is not a contract");
+
+            await riskOracle.setRiskScore(user3.address, 50000);
+            const heuristicFactor = await t3Token.calculateRiskFactor(user3.address);
+            await t3Token.connect(admin).setRiskOracle(oracleAddress, 2500, oneHour);
+            await t3Token.connect(admin).setRiskOracle(ZERO_ADDRESS, 0, 0);
+            expect(await t3Token.calculateRiskFactor(user3.address)).to.equal(heuristicFactor);
+        });
+    });
+
+    describe("T3Token Wallet Onboarding", function() {
+        const amount = ethers.parseUnits("100", 18);
+
+        beforeEach(async function() {
+            await t3Token.connect(minter).mint(user1.address, ethers.parseUnits("1000", 18));
+        });
+
+        it("Should record first-seen time when a wallet first receives by transfer", async function() {
+            expect((await t3Token.getWalletStats(user3.address)).firstSeen).to.equal(0);
+
+            await t3Token.connect(user1).transfer(user3.address, amount);
+            const receivedAt = await time.latest();
+
+            const stats = await t3Token.getWalletStats(user3.address);
+            expect(stats.firstSeen).to.equal(receivedAt);
+            expect(stats.firstOutbound).to.equal(0);
+            expect(stats.isNewWallet).to.be.true;
+            expect(stats.riskFactor).to.equal(15000n);
+            expect((await t3Token.walletRiskProfiles(user3.address)).creationTime).to.equal(receivedAt);
+        });
+
+        it("Should record the first outbound transfer once and age the wallet", async function() {
+            const firstSeen = (await t3Token.getWalletStats(user1.address)).firstSeen;
+            await t3Token.connect(user1).transfer(user2.address, amount);
+            const firstOutbound = await time.latest();
+            await time.increase(60);
+            await t3Token.connect(user1).transfer(user2.address, amount);
+
+            let stats = await t3Token.getWalletStats(user1.address);
+            expect(stats.firstSeen).to.equal(firstSeen);
+            expect(stats.firstOutbound).to.equal(firstOutbound);
+            expect(await t3Token.firstOutboundTime(user1.address)).to.equal(firstOutbound);
+            expect(stats.age).to.equal(BigInt(await time.latest()) - firstSeen);
+
+            await time.increase(7 * 24 * 60 * 60);
+            stats = await t3Token.getWalletStats(user1.address);
+            expect(stats.isNewWallet).to.be.false;
+            expect(stats.riskFactor).to.equal(10000n);
+        });
+
+        it("Should charge the new-wallet risk premium on wallets funded by transfer", async function() {
+            await t3Token.connect(user1).transfer(user3.address, amount);
+            const newWalletFee = (await t3Token.estimateTransferFeeDetails(user3.address, user4.address, ethers.parseUnits("50", 18))).totalFeeAssessed;
+
+            await time.increase(7 * 24 * 60 * 60);
+            const establishedFee = (await t3Token.estimateTransferFeeDetails(user3.address, user4.address, ethers.parseUnits("50", 18))).totalFeeAssessed;
+            expect(newWalletFee).to.be.gt(establishedFee);
+        });
+    });
+
+    describe("T3Token Extension Routing", function () {
+        it("Should route every extension function and reject unknown selectors", async function () {
+            for (const route of extensionRoutes) {
+                for (const selector of route.selectors) {
+                    expect(await t3Token.extensionForSelector(selector)).to.equal(route.extension);
+                }
+            }
+            const unknownCall = ethers.id("notAFunction()").slice(0, 10);
+            await expect(user1.sendTransaction({ to: await t3Token.getAddress(), data: unknownCall }))
+                .to.be.revertedWith("Extension: Unknown function");
+        });
+
+        it("Should let the admin swap one extension by re-routing its selectors", async function () {
+            const viewsRoute = extensionRoutes.find((route) => route.selectors.includes(t3Token.interface.getFunction("getWalletStats").selector));
+            const T3TokenViewsExtensionFactory = await ethers.getContractFactory("T3TokenViewsExtension");
+            const newViews = await T3TokenViewsExtensionFactory.deploy(await t3Forwarder.getAddress());
+            const newRoute = { extension: await newViews.getAddress(), selectors: viewsRoute.selectors };
+
+            await expect(t3Token.connect(user1).setExtensionRoutes([newRoute]))
+                .to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, ADMIN_ROLE_T3);
+            await expect(t3Token.connect(admin).setExtensionRoutes([newRoute]))
+                .to.emit(t3Token, "ExtensionRoutesUpdated").withArgs(newRoute.extension, newRoute.selectors);
+            expect(await t3Token.extensionForSelector(newRoute.selectors[0])).to.equal(newRoute.extension);
+            expect(await t3Token.balanceOf(admin.address)).to.equal(initialMintAmount);
+            expect((await t3Token.getWalletStats(admin.address)).firstSeen).to.be.gt(0);
+
+            await t3Token.connect(admin).setExtensionRoutes([{ extension: ZERO_ADDRESS, selectors: newRoute.selectors }]);
+            await expect(t3Token.getWalletStats(admin.address)).to.be.revertedWith("Extension: Unknown function");
+        });
+
+        it("Should only route to extensions built with the same trusted forwarder", async function () {
+            const selector = t3Token.interface.getFunction("getWalletStats").selector;
+            const T3TokenViewsExtensionFactory = await ethers.getContractFactory("T3TokenViewsExtension");
+            const otherForwarderViews = await T3TokenViewsExtensionFactory.deploy(user5.address);
+            await expect(t3Token.connect(admin).setExtensionRoutes([{ extension: await otherForwarderViews.getAddress(), selectors: [selector] }]))
+                .to.be.revertedWith("Extension forwarder mismatch");
+            await expect(t3Token.connect(admin).setExtensionRoutes([{ extension: user5.address, selectors: [selector] }]))
+                .to.be.revertedWith("Extension forwarder mismatch");
+        });
+    });
+
     describe("T3Token Upgradeability (UUPS)", function () {
         it("Admin should be able to upgrade the T3Token contract", async function () {
             const T3TokenV2Factory = await ethers.getContractFactory("T3Token", admin);
             const currentImplementationAddress = await upgrades.erc1967.getImplementationAddress(await t3Token.getAddress());
             
-            const upgradedT3Token = await upgrades.upgradeProxy(await t3Token.getAddress(), T3TokenV2Factory);
+            const upgradedT3Token = await upgrades.upgradeProxy(await t3Token.getAddress(), T3TokenV2Factory, { constructorArgs: t3TokenConstructorArgs });
             await upgradedT3Token.waitForDeployment();
             const newImplementationAddress = await upgrades.erc1967.getImplementationAddress(await upgradedT3Token.getAddress());
 
@@ -934,7 +2850,7 @@ describe("T3 System: CustodianRegistry and T3Token", function () {
         it("Non-admin should not be able to upgrade the T3Token contract", async function () {
             const T3TokenV2Factory_NotAdmin = await ethers.getContractFactory("T3Token", user1);
             await expect(
-                 upgrades.upgradeProxy(await t3Token.getAddress(), T3TokenV2Factory_NotAdmin)
+                 upgrades.upgradeProxy(await t3Token.getAddress(), T3TokenV2Factory_NotAdmin, { constructorArgs: t3TokenConstructorArgs })
             ).to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount")
              .withArgs(user1.address, ADMIN_ROLE_T3);
         });